@@ -0,0 +1,106 @@
+const User = require("../models/User")
+const Post = require("../models/Post")
+const Series = require("../models/Series")
+const PostInvitation = require("../models/PostInvitation")
+const PostAutosave = require("../models/PostAutosave")
+const Session = require("../models/Session")
+const ApiToken = require("../models/ApiToken")
+const AuditLog = require("../models/AuditLog")
+const { generateRandomToken } = require("../utils/tokens")
+const { deletePosts } = require("../utils/postCleanup")
+
+const CHECK_INTERVAL_MS = 60 * 60 * 1000
+
+// Shared author of posts kept after their owner deleted the account. It is found by its flag, never by
+// its email, so no registered account can take its place.
+const getGhostUser = async () => {
+  const ghost = await User.findOne({ isSystem: true })
+  if (ghost) return ghost
+
+  return User.create({
+    name: "Deleted user",
+    email: `ghost@${User.RESERVED_EMAIL_DOMAIN}`,
+    password: generateRandomToken(),
+    emailVerified: true,
+    isActive: false,
+    isSystem: true,
+  })
+}
+
+// Remove or hand over the user's posts and strip every piece of personal data from the account.
+// The document itself is kept so comments and likes keep pointing at something.
+const anonymizeUser = async (user) => {
+  const postsAction = user.deletion.postsAction || "delete"
+  const posts = await Post.find({ author: user._id }).select("_id").lean()
+  const postIds = posts.map((post) => post._id)
+
+  if (postsAction === "reassign") {
+    const ghost = await getGhostUser()
+    await Post.updateMany({ _id: { $in: postIds } }, [{ $set: { author: ghost._id, version: Post.NEXT_VERSION } }])
+    await Series.updateMany({ author: user._id }, { author: ghost._id })
+  } else {
+    await deletePosts(postIds)
+    await Series.deleteMany({ author: user._id })
+  }
+
+  // Leave co-authored posts and drop autosaves and invitations from and to the user
+  await Post.updateMany({ "collaborators.user": user._id }, { $pull: { collaborators: { user: user._id } } })
+  await PostAutosave.deleteMany({ user: user._id })
+  await PostInvitation.deleteMany({ $or: [{ invitee: user._id }, { invitedBy: user._id }] })
+
+  await Session.revokeAllForUser(user._id, "account_deleted")
+  await ApiToken.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() })
+
+  user.set({
+    name: "Deleted user",
+    email: `${user._id}@${User.RESERVED_EMAIL_DOMAIN}`,
+    // Nobody knows this password, so the account can never be logged into again
+    password: generateRandomToken(),
+    bio: "",
+    avatar: "",
+    website: "",
+    twitter: "",
+    linkedin: "",
+    identities: [],
+    twoFactor: { enabled: false },
+    isActive: false,
+    emailVerified: false,
+    passwordResetToken: undefined,
+    passwordResetExpires: undefined,
+    emailVerificationToken: undefined,
+    emailVerificationExpires: undefined,
+    deletedAt: new Date(),
+  })
+  await user.save()
+
+  await AuditLog.record(null, "account.deleted", {
+    targetUser: user._id,
+    details: { postsAction, posts: postIds.length },
+  })
+}
+
+// Anonymize every account whose grace period is over
+const processDueAccountDeletions = async () => {
+  const users = await User.find({ "deletion.scheduledFor": { $lte: new Date() }, deletedAt: null })
+
+  for (const user of users) {
+    try {
+      await anonymizeUser(user)
+    } catch (error) {
+      console.error(`Account deletion failed for ${user._id}:`, error)
+    }
+  }
+
+  return users.length
+}
+
+// Run now (to catch up after downtime) and then every hour
+const startAccountDeletionJob = () => {
+  const run = () =>
+    processDueAccountDeletions().catch((error) => console.error("Account deletion job error:", error))
+
+  run()
+  return setInterval(run, CHECK_INTERVAL_MS)
+}
+
+module.exports = { anonymizeUser, processDueAccountDeletions, startAccountDeletionJob }
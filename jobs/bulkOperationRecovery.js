@@ -0,0 +1,31 @@
+const BulkOperation = require("../models/BulkOperation")
+
+const CHECK_INTERVAL_MS = 5 * 60 * 1000
+// A running operation saves its progress every few posts. One that hasn't been saved for this long was
+// stopped by a restart or crash of the server that ran it, and nothing is going to finish it.
+const STALE_AFTER_MS = 10 * 60 * 1000
+
+// Mark interrupted bulk operations as failed, so they don't show as running forever.
+// The posts they already processed keep their results.
+const failStaleBulkOperations = async (now = new Date()) => {
+  const result = await BulkOperation.updateMany(
+    { status: { $in: ["pending", "running"] }, updatedAt: { $lt: new Date(now.getTime() - STALE_AFTER_MS) } },
+    { $set: { status: "failed", error: "The operation was interrupted by a server restart", finishedAt: now } },
+  )
+
+  if (result.modifiedCount > 0) {
+    console.log(`Bulk operations: ${result.modifiedCount} interrupted operation(s) marked as failed`)
+  }
+
+  return result.modifiedCount
+}
+
+// Run now (for operations cut off by the last shutdown) and then every few minutes
+const startBulkOperationRecovery = () => {
+  const run = () => failStaleBulkOperations().catch((error) => console.error("Bulk operation recovery error:", error))
+
+  run()
+  return setInterval(run, CHECK_INTERVAL_MS)
+}
+
+module.exports = { failStaleBulkOperations, startBulkOperationRecovery }
@@ -0,0 +1,47 @@
+const Post = require("../models/Post")
+
+const CHECK_INTERVAL_MS = (Number.parseInt(process.env.POST_SCHEDULER_INTERVAL_SECONDS) || 60) * 1000
+
+// Publish every Scheduled post whose time has come. The update is a single atomic statement,
+// so a post is never published twice when several server instances run the job. Like every change to
+// a post it takes a new version, so editors still holding the old one get a conflict.
+const publishDuePosts = async (now = new Date()) => {
+  const result = await Post.updateMany({ status: "Scheduled", publishAt: { $lte: now } }, [
+    { $set: { status: "Published", publishedAt: { $ifNull: ["$publishedAt", now] }, version: Post.NEXT_VERSION } },
+    { $unset: "publishAt" },
+  ])
+
+  return result.modifiedCount
+}
+
+// Unpublish or archive posts whose unpublish time has come
+const unpublishDuePosts = async (now = new Date()) => {
+  const result = await Post.updateMany({ status: "Published", unpublishAt: { $lte: now } }, [
+    { $set: { status: { $ifNull: ["$unpublishStatus", "Archived"] }, version: Post.NEXT_VERSION } },
+    { $unset: ["unpublishAt", "unpublishStatus"] },
+  ])
+
+  return result.modifiedCount
+}
+
+const processScheduledPosts = async () => {
+  const now = new Date()
+  const published = await publishDuePosts(now)
+  const unpublished = await unpublishDuePosts(now)
+
+  if (published || unpublished) {
+    console.log(`Post scheduler: ${published} published, ${unpublished} unpublished`)
+  }
+
+  return { published, unpublished }
+}
+
+// Run now (to publish whatever came due while the server was down) and then every minute
+const startPostScheduler = () => {
+  const run = () => processScheduledPosts().catch((error) => console.error("Post scheduler error:", error))
+
+  run()
+  return setInterval(run, CHECK_INTERVAL_MS)
+}
+
+module.exports = { publishDuePosts, unpublishDuePosts, processScheduledPosts, startPostScheduler }
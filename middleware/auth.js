@@ -1,26 +1,102 @@
-const jwt = require("jsonwebtoken")
 const User = require("../models/User")
+const Session = require("../models/Session")
+const ApiToken = require("../models/ApiToken")
+const AuditLog = require("../models/AuditLog")
+const { verifyAccessToken, isApiToken, hashToken } = require("../utils/tokens")
+const { isAdminTwoFactorRequired } = require("../utils/securityPolicy")
+const { can } = require("../utils/permissions")
+
+const getBearerToken = (req) => req.header("Authorization")?.replace("Bearer ", "")
+
+// Load the user a credential belongs to, or the reason it must not be used
+const loadActiveUser = async (userId) => {
+  const user = await User.findById(userId).select("-password")
+
+  if (!user) {
+    return { error: "Token is not valid. User not found." }
+  }
+
+  if (!user.isActive) {
+    return { error: "Account is deactivated." }
+  }
+
+  return { user }
+}
+
+// Resolve a personal access token to its user
+const resolveApiToken = async (token, req) => {
+  const apiToken = await ApiToken.findOne({ tokenHash: hashToken(token) })
+  if (!apiToken || !apiToken.isActive()) {
+    return { error: "API token is invalid, expired or revoked." }
+  }
+
+  const { user, error } = await loadActiveUser(apiToken.user)
+  if (error) return { error }
+
+  await apiToken.touch(req.ip)
+
+  return { user, apiToken }
+}
+
+// Resolve an access token (JWT or personal access token) to its user and session.
+// Returns { error } when the token is well-formed but must not be accepted.
+const resolveToken = async (token, req) => {
+  if (isApiToken(token)) {
+    return resolveApiToken(token, req)
+  }
+
+  const decoded = verifyAccessToken(token)
+
+  // Tokens issued before sessions existed cannot be revoked, so they are not accepted
+  if (!decoded.sid) {
+    return { error: "Session expired. Please log in again." }
+  }
+
+  const session = await Session.findById(decoded.sid)
+  if (!session || !session.isActive() || session.user.toString() !== decoded.id) {
+    return { error: "Session has been revoked. Please log in again." }
+  }
+
+  const { user, error } = await loadActiveUser(decoded.id)
+  if (error) return { error }
+
+  await session.touch(req.ip)
+
+  return { user, session }
+}
 
 const auth = async (req, res, next) => {
   try {
-    const token = req.header("Authorization")?.replace("Bearer ", "")
+    const token = getBearerToken(req)
 
     if (!token) {
       return res.status(401).json({ message: "Access denied. No token provided." })
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || "your-secret-key")
-    const user = await User.findById(decoded.id).select("-password")
+    const { user, session, apiToken, error } = await resolveToken(token, req)
 
-    if (!user) {
-      return res.status(401).json({ message: "Token is not valid. User not found." })
+    if (error) {
+      return res.status(401).json({ message: error })
     }
 
-    if (!user.isActive) {
-      return res.status(401).json({ message: "Account is deactivated." })
+    req.user = user
+    req.authSession = session
+    req.apiToken = apiToken
+
+    // Make support sessions obvious to the client and keep a trail of everything they change
+    if (session?.impersonator) {
+      req.impersonator = session.impersonator
+      res.set("X-Impersonated-By", session.impersonator.toString())
+
+      if (req.method !== "GET") {
+        await AuditLog.record(req, "impersonation.request", {
+          actor: session.impersonator,
+          targetUser: user._id,
+          details: { method: req.method, path: req.originalUrl },
+        })
+      }
     }
 
-    req.user = user
     next()
   } catch (error) {
     if (error.name === "JsonWebTokenError") {
@@ -37,14 +113,17 @@ const auth = async (req, res, next) => {
 // Optional auth - doesn't fail if no token
 const optionalAuth = async (req, res, next) => {
   try {
-    const token = req.header("Authorization")?.replace("Bearer ", "")
+    const token = getBearerToken(req)
 
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || "your-secret-key")
-      const user = await User.findById(decoded.id).select("-password")
+      const { user, session, apiToken } = await resolveToken(token, req)
 
-      if (user && user.isActive) {
+      // Personal access tokens only identify the caller when they may read
+      if (user && (!apiToken || apiToken.scopes.includes("read"))) {
         req.user = user
+        req.authSession = session
+        req.apiToken = apiToken
+        req.impersonator = session?.impersonator
       }
     }
 
@@ -55,13 +134,68 @@ const optionalAuth = async (req, res, next) => {
   }
 }
 
-// Admin only middleware
-const adminOnly = (req, res, next) => {
-  if (req.user && req.user.role === "admin") {
+// Scope middleware - requests made with a personal access token need the scope,
+// requests made with a login session are not restricted
+const requireScope = (scope) => (req, res, next) => {
+  if (req.apiToken && !req.apiToken.scopes.includes(scope)) {
+    return res.status(403).json({ message: `This API token is missing the "${scope}" scope` })
+  }
+  next()
+}
+
+// Keep personal access tokens away from account management (passwords, sessions, tokens, ...).
+// Checks the header itself so it can run before `auth`.
+const rejectApiTokens = (req, res, next) => {
+  if (isApiToken(getBearerToken(req))) {
+    return res.status(403).json({ message: "API tokens cannot be used for this endpoint. Please log in." })
+  }
+  next()
+}
+
+// Keep admins in a support session away from credentials (passwords, 2FA, tokens, account deletion)
+const denyImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    return res.status(403).json({ message: "This action is not available while impersonating a user" })
+  }
+  next()
+}
+
+// Authorization middleware for actions that don't depend on a specific document.
+// Checks on a post or comment use can() in the route once the document is loaded.
+const authorize = (action) => async (req, res, next) => {
+  // Personal access tokens are for publishing content, never for managing users or settings
+  const contentAction = /^(post|comment|series):/.test(action)
+
+  if (!can(req.user, action) || (req.apiToken && !contentAction)) {
+    return res.status(403).json({ message: "Access denied. You don't have permission to do this." })
+  }
+
+  try {
+    // Admins without 2FA can still reach /api/auth/2fa to enroll, just not admin endpoints
+    const needsTwoFactor = !contentAction && req.user.role === "admin" && !req.user.twoFactor?.enabled
+    if (needsTwoFactor && (await isAdminTwoFactorRequired())) {
+      return res.status(403).json({
+        message: "Two-factor authentication is required for admin accounts",
+        code: "TWO_FACTOR_REQUIRED",
+      })
+    }
+
     next()
-  } else {
-    res.status(403).json({ message: "Access denied. Admin privileges required." })
+  } catch (error) {
+    console.error("Authorization middleware error:", error)
+    res.status(500).json({ message: "Server error in authorization." })
   }
 }
 
-module.exports = { auth, optionalAuth, adminOnly }
+// Whether a user still has to verify their email before publishing or commenting
+const mustVerifyEmail = (user) => process.env.REQUIRE_EMAIL_VERIFICATION === "true" && !user.emailVerified
+
+module.exports = {
+  auth,
+  optionalAuth,
+  authorize,
+  requireScope,
+  rejectApiTokens,
+  denyImpersonation,
+  mustVerifyEmail,
+}
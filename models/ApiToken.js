@@ -0,0 +1,90 @@
+const mongoose = require("mongoose")
+
+const API_TOKEN_SCOPES = ["read", "posts:write", "comments:write"]
+
+// Personal access tokens for scripts and CI pipelines
+const apiTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Token name is required"],
+      trim: true,
+      maxlength: [100, "Token name cannot exceed 100 characters"],
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // First characters of the token so users can tell their tokens apart
+    prefix: {
+      type: String,
+      required: true,
+    },
+    scopes: {
+      type: [
+        {
+          type: String,
+          enum: {
+            values: API_TOKEN_SCOPES,
+            message: "Invalid scope: {VALUE}",
+          },
+        },
+      ],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: "At least one scope is required",
+      },
+    },
+    expiresAt: {
+      type: Date,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    lastUsedIp: {
+      type: String,
+    },
+    revokedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for better query performance
+apiTokenSchema.index({ user: 1, createdAt: -1 })
+
+// Check whether the token can still be used
+apiTokenSchema.methods.isActive = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date())
+}
+
+// Record usage, at most once a minute to avoid a write on every request
+apiTokenSchema.methods.touch = async function (ip) {
+  const now = new Date()
+  if (this.lastUsedAt && now - this.lastUsedAt < 60 * 1000) return
+
+  this.lastUsedAt = now
+  this.lastUsedIp = ip
+  await this.save()
+}
+
+// Never expose the hash
+apiTokenSchema.methods.toJSON = function () {
+  const tokenObject = this.toObject()
+  delete tokenObject.tokenHash
+  return tokenObject
+}
+
+const ApiToken = mongoose.model("ApiToken", apiTokenSchema)
+ApiToken.SCOPES = API_TOKEN_SCOPES
+
+module.exports = ApiToken
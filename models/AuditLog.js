@@ -0,0 +1,65 @@
+const mongoose = require("mongoose")
+
+// Security relevant events (failed logins, lockouts, admin actions) kept for review by admins
+const auditLogSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    targetUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+)
+
+// Indexes for better query performance
+auditLogSchema.index({ createdAt: -1 })
+auditLogSchema.index({ action: 1, createdAt: -1 })
+auditLogSchema.index({ targetUser: 1, createdAt: -1 })
+auditLogSchema.index({ ip: 1, createdAt: -1 })
+
+// Record an event for a request (or null for background jobs).
+// Never throws: failing to audit must not fail the request.
+auditLogSchema.statics.record = async function (req, action, { actor, targetUser, email, details } = {}) {
+  try {
+    await this.create({
+      action,
+      actor,
+      targetUser,
+      email,
+      ip: req?.ip || "",
+      userAgent: req?.get("User-Agent") || "",
+      details,
+    })
+  } catch (error) {
+    console.error("Audit log error:", error)
+  }
+}
+
+module.exports = mongoose.model("AuditLog", auditLogSchema)
@@ -0,0 +1,104 @@
+const mongoose = require("mongoose")
+
+const BULK_ACTIONS = [
+  "archive",
+  "publish",
+  "unpublish",
+  "add_tags",
+  "remove_tags",
+  "set_tags",
+  "set_category",
+  "feature",
+  "unfeature",
+  "delete",
+]
+
+// One action applied to many posts, with the outcome for each of them
+const bulkOperationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: {
+        values: BULK_ACTIONS,
+        message: `Action must be one of: ${BULK_ACTIONS.join(", ")}`,
+      },
+      required: true,
+    },
+    // Arguments of the action, e.g. the tags to add or the new category
+    params: {
+      tags: [String],
+      category: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Category",
+      },
+    },
+    // The filter the posts were selected with, if they weren't listed by ID
+    filter: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    posts: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Post",
+      },
+    ],
+    status: {
+      type: String,
+      enum: ["pending", "running", "completed", "failed"],
+      default: "pending",
+    },
+    total: {
+      type: Number,
+      default: 0,
+    },
+    processed: {
+      type: Number,
+      default: 0,
+    },
+    succeeded: {
+      type: Number,
+      default: 0,
+    },
+    failed: {
+      type: Number,
+      default: 0,
+    },
+    results: [
+      {
+        _id: false,
+        post: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Post",
+        },
+        title: String,
+        ok: Boolean,
+        error: String,
+      },
+    ],
+    error: {
+      type: String,
+    },
+    startedAt: {
+      type: Date,
+    },
+    finishedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for better query performance
+bulkOperationSchema.index({ user: 1, createdAt: -1 })
+
+const BulkOperation = mongoose.model("BulkOperation", bulkOperationSchema)
+BulkOperation.ACTIONS = BULK_ACTIONS
+
+module.exports = BulkOperation
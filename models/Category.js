@@ -0,0 +1,93 @@
+const mongoose = require("mongoose")
+const { slugify } = require("../utils/slugify")
+
+// A category posts can be filed under. Categories nest through `parent`; siblings are shown by `order`.
+const categorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      trim: true,
+      maxlength: [60, "Name cannot exceed 60 characters"],
+    },
+    slug: {
+      type: String,
+      unique: true,
+      lowercase: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+      default: "",
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    },
+    order: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for better query performance
+categorySchema.index({ parent: 1, order: 1, name: 1 })
+// "React" and "react" are the same category
+categorySchema.index({ name: 1 }, { unique: true, collation: { locale: "en", strength: 2 } })
+
+// Find a slug based on `base` that no other category uses
+categorySchema.statics.generateUniqueSlug = async function (base, categoryId) {
+  const root = slugify(base) || "category"
+
+  for (let attempt = 1; ; attempt++) {
+    const candidate = attempt === 1 ? root : `${root}-${attempt}`
+    if (!(await this.exists({ _id: { $ne: categoryId }, slug: candidate }))) return candidate
+  }
+}
+
+// Look a category up by ID or by slug, whichever the client sent
+categorySchema.statics.findByIdOrSlug = function (value) {
+  const conditions = [{ slug: String(value).toLowerCase() }]
+  if (mongoose.isValidObjectId(value)) {
+    conditions.push({ _id: value })
+  }
+  return this.findOne({ $or: conditions })
+}
+
+// Find a category by name, ignoring case
+categorySchema.statics.findByName = function (name) {
+  return this.findOne({ name: String(name).trim() }).collation({ locale: "en", strength: 2 })
+}
+
+// IDs of a category and all categories below it. There are few categories, so they are walked in memory.
+categorySchema.statics.descendantIds = async function (categoryId) {
+  const categories = await this.find().select("parent").lean()
+  const ids = [String(categoryId)]
+
+  for (let index = 0; index < ids.length; index++) {
+    for (const category of categories) {
+      if (category.parent && String(category.parent) === ids[index]) {
+        ids.push(String(category._id))
+      }
+    }
+  }
+
+  return ids.map((id) => new mongoose.Types.ObjectId(id))
+}
+
+// Generate the slug from the name, or clean up one chosen by an admin
+categorySchema.pre("save", async function () {
+  if (this.isModified("slug") && this.slug) {
+    this.slug = await this.constructor.generateUniqueSlug(this.slug, this._id)
+  } else if (!this.slug) {
+    this.slug = await this.constructor.generateUniqueSlug(this.name, this._id)
+  }
+})
+
+module.exports = mongoose.model("Category", categorySchema)
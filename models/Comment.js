@@ -70,6 +70,7 @@ const commentSchema = new mongoose.Schema(
 commentSchema.index({ post: 1, createdAt: -1 })
 commentSchema.index({ userId: 1, createdAt: -1 })
 commentSchema.index({ parentComment: 1 })
+commentSchema.index({ comment: "text" })
 
 // Update likes count
 commentSchema.pre("save", function (next) {
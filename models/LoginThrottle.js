@@ -0,0 +1,34 @@
+const mongoose = require("mongoose")
+
+// Failure counters for keys that are not accounts, e.g. "login:<ip>" or "register:<ip>"
+const loginThrottleSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+    lastAttemptAt: {
+      type: Date,
+    },
+    lockUntil: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Let MongoDB drop counters once their window is over
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+module.exports = mongoose.model("LoginThrottle", loginThrottleSchema)
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose")
+
+// Pending authorization requests, consumed by the provider callback
+const oauthStateSchema = new mongoose.Schema(
+  {
+    stateHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    codeVerifier: {
+      type: String,
+      required: true,
+    },
+    nonce: {
+      type: String,
+      required: true,
+    },
+    mode: {
+      type: String,
+      enum: ["login", "link"],
+      default: "login",
+    },
+    // The user connecting a provider in "link" mode
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+module.exports = mongoose.model("OAuthState", oauthStateSchema)
@@ -1,4 +1,11 @@
 const mongoose = require("mongoose")
+const { slugify } = require("../utils/slugify")
+const { renderContent, htmlToText, createExcerpt } = require("../utils/markdown")
+const { searchWordsOf } = require("../utils/words")
+const Tag = require("./Tag")
+
+// What a reviewer approves. Changing any of these needs another review when review mode is on.
+const REVIEWED_FIELDS = ["title", "content", "format", "excerpt", "coverImage"]
 
 const postSchema = new mongoose.Schema(
   {
@@ -13,6 +20,19 @@ const postSchema = new mongoose.Schema(
       required: [true, "Content is required"],
       minlength: [10, "Content must be at least 10 characters"],
     },
+    // Markdown posts are plain markdown; HTML written in them is shown as text (see utils/markdown.js)
+    format: {
+      type: String,
+      enum: {
+        values: ["html", "markdown"],
+        message: "Format must be html or markdown",
+      },
+      default: "html",
+    },
+    // Sanitized HTML of the content, which is what readers get to see
+    contentHtml: {
+      type: String,
+    },
     excerpt: {
       type: String,
       maxlength: [300, "Excerpt cannot exceed 300 characters"],
@@ -21,11 +41,31 @@ const postSchema = new mongoose.Schema(
       type: String,
       default: "",
     },
+    // The owner of the post
     author: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
       required: true,
     },
+    // Co-authors (editor) and people who may read the draft (viewer), added by accepting an invitation
+    collaborators: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        role: {
+          type: String,
+          enum: ["editor", "viewer"],
+          default: "editor",
+        },
+        addedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     tags: [
       {
         type: String,
@@ -33,16 +73,52 @@ const postSchema = new mongoose.Schema(
         lowercase: true,
       },
     ],
+    // Posts without a category are uncategorized
     category: {
-      type: String,
-      trim: true,
-      default: "Other",
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
     },
     status: {
       type: String,
-      enum: ["Draft", "Published", "Archived"],
+      enum: ["Draft", "In Review", "Scheduled", "Published", "Archived"],
       default: "Draft",
     },
+    // Outcome of the editorial review (the decisions themselves are PostReview documents)
+    review: {
+      state: {
+        type: String,
+        enum: ["pending", "approved", "changes_requested", "rejected"],
+      },
+      submittedAt: {
+        type: Date,
+      },
+      reviewer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      reviewedAt: {
+        type: Date,
+      },
+    },
+    // When a Scheduled post goes live
+    publishAt: {
+      type: Date,
+      required: [
+        function () {
+          return this.status === "Scheduled"
+        },
+        "Publish time is required for scheduled posts",
+      ],
+    },
+    // When a Scheduled or Published post is taken down again, and the status it gets
+    unpublishAt: {
+      type: Date,
+    },
+    unpublishStatus: {
+      type: String,
+      enum: ["Draft", "Archived"],
+      default: undefined,
+    },
     views: {
       type: Number,
       default: 0,
@@ -76,6 +152,17 @@ const postSchema = new mongoose.Schema(
       unique: true,
       sparse: true,
     },
+    // Previous slugs, so old links can be redirected to the current one
+    slugHistory: [
+      {
+        type: String,
+      },
+    ],
+    // Lowercase words of the title for search suggestions (see utils/suggest.js)
+    titleWords: {
+      type: [String],
+      select: false,
+    },
     publishedAt: {
       type: Date,
     },
@@ -91,6 +178,11 @@ const postSchema = new mongoose.Schema(
       type: String,
       maxlength: [160, "SEO description cannot exceed 160 characters"],
     },
+    // Bumped on every edit by an author, so concurrent edits can be detected (sent as the ETag)
+    version: {
+      type: Number,
+      default: 1,
+    },
   },
   {
     timestamps: true,
@@ -99,31 +191,79 @@ const postSchema = new mongoose.Schema(
 
 // Indexes for better query performance
 postSchema.index({ author: 1, createdAt: -1 })
+postSchema.index({ "collaborators.user": 1, createdAt: -1 })
 postSchema.index({ status: 1, publishedAt: -1 })
 postSchema.index({ tags: 1 })
 postSchema.index({ category: 1 })
 postSchema.index({ title: "text", content: "text" })
+postSchema.index({ status: 1, publishAt: 1 })
+postSchema.index({ unpublishAt: 1 }, { sparse: true })
+postSchema.index({ slugHistory: 1 })
+postSchema.index({ titleWords: 1, status: 1 })
 
+const SLUG_SAVE_ATTEMPTS = 5
+
+// Find a slug based on `base` that no other post uses now or used before.
+// Adds -2, -3, ... on collisions and falls back to "post" when the title has no usable characters.
+postSchema.statics.generateUniqueSlug = async function (base, postId) {
+  const root = slugify(base) || "post"
+
+  for (let attempt = 1; ; attempt++) {
+    const candidate = attempt === 1 ? root : `${root}-${attempt}`
+    const taken = await this.exists({
+      _id: { $ne: postId },
+      $or: [{ slug: candidate }, { slugHistory: candidate }],
+    })
+    if (!taken) return candidate
+  }
+}
+
+
+// Generate a slug from the title, or clean up one chosen by the author.
+// A replaced slug goes to the history so links using it keep working.
+postSchema.pre("save", async function () {
+  if (this.isModified("slug") && this.slug) {
+    const previous = this.isNew ? null : (await this.constructor.findById(this._id).select("slug").lean())?.slug
+    this.slug = await this.constructor.generateUniqueSlug(this.$locals.slugBase || this.slug, this._id)
+
+    if (previous && previous !== this.slug && !this.slugHistory.includes(previous)) {
+      this.slugHistory.push(previous)
+    }
+    // Taking back an old slug makes it current again
+    this.slugHistory.pull(this.slug)
+  } else if (!this.slug) {
+    this.slug = await this.constructor.generateUniqueSlug(this.title, this._id)
+  }
+})
+
+// Tags that were merged into another tag or made an alias are stored as that tag
+postSchema.pre("save", async function () {
+  if (this.isModified("tags") && this.tags.length > 0) {
+    this.tags = await Tag.canonicalize(this.tags)
+  }
+})
 
-// Generate slug from title
 postSchema.pre("save", function (next) {
-  if (this.isModified("title") && !this.slug) {
-    this.slug = this.title
-      .toLowerCase()
-      .replace(/[^a-zA-Z0-9\s]/g, "")
-      .replace(/\s+/g, "-")
-      .substring(0, 50)
+  if (this.isModified("title")) {
+    this.titleWords = searchWordsOf(this.title)
   }
 
-  // Calculate read time
-  if (this.isModified("content")) {
+  // Render the content and calculate read time from what readers will see
+  if (this.isModified("content") || this.isModified("format") || !this.contentHtml) {
+    this.contentHtml = renderContent(this.content, this.format)
+    // HTML posts are stored sanitized too, so clients still reading `content` are safe
+    if (this.format === "html") {
+      this.content = this.contentHtml
+    }
+
+    const text = htmlToText(this.contentHtml)
     const wordsPerMinute = 200
-    const words = this.content.replace(/<[^>]*>/g, "").split(/\s+/).length
+    const words = text.split(/\s+/).length
     this.readTime = Math.ceil(words / wordsPerMinute)
 
     // Generate excerpt if not provided
     if (!this.excerpt) {
-      this.excerpt = this.content.replace(/<[^>]*>/g, "").substring(0, 150) + "..."
+      this.excerpt = createExcerpt(this.contentHtml)
     }
   }
 
@@ -132,6 +272,27 @@ postSchema.pre("save", function (next) {
     this.publishedAt = new Date()
   }
 
+  // Submitting for review starts a new review round
+  if (this.isModified("status") && this.status === "In Review") {
+    this.review = { state: "pending", submittedAt: new Date() }
+  } else if (
+    this.review?.state === "approved" &&
+    this.status !== "Published" &&
+    REVIEWED_FIELDS.some((field) => this.isModified(field))
+  ) {
+    // An approval only covers the text that was reviewed
+    this.review = { state: this.status === "In Review" ? "pending" : undefined, submittedAt: this.review.submittedAt }
+  }
+
+  // Schedules only apply while the post is (about to be) live
+  if (this.status !== "Scheduled") {
+    this.publishAt = undefined
+  }
+  if (this.status !== "Scheduled" && this.status !== "Published") {
+    this.unpublishAt = undefined
+    this.unpublishStatus = undefined
+  }
+
   next()
 })
 
@@ -143,6 +304,41 @@ postSchema.pre("save", function (next) {
   next()
 })
 
+// Take the next version number for an edit, but only if nobody else saved the post since it was loaded.
+// Returns false on a conflict. Views and likes don't go through here, so they never cause conflicts.
+postSchema.methods.claimVersion = async function () {
+  // Posts saved before versioning have no version field yet
+  const current = this.version === 1 ? { $in: [1, null] } : this.version
+  const result = await this.constructor.updateOne(
+    { _id: this._id, version: current },
+    { $set: { version: this.version + 1 } },
+  )
+  if (result.matchedCount === 0) return false
+
+  this.version += 1
+  return true
+}
+
+// Save a post whose slug is new or changed. Picking a free slug and saving are separate steps, so another
+// post saved at the same moment can take the slug first. The unique index then rejects this save, and
+// the slug is picked again from what was asked for (the chosen slug or the title).
+postSchema.methods.saveWithUniqueSlug = async function () {
+  const base = this.slug || this.title
+
+  try {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.save()
+      } catch (error) {
+        if (error.code !== 11000 || !error.keyPattern?.slug || attempt >= SLUG_SAVE_ATTEMPTS) throw error
+        this.$locals.slugBase = base
+      }
+    }
+  } finally {
+    delete this.$locals.slugBase
+  }
+}
+
 // Virtual for comments
 postSchema.virtual("comments", {
   ref: "Comment",
@@ -150,4 +346,10 @@ postSchema.virtual("comments", {
   foreignField: "post",
 })
 
-module.exports = mongoose.model("Post", postSchema)
+const Post = mongoose.model("Post", postSchema)
+Post.REVIEWED_FIELDS = REVIEWED_FIELDS
+// The next version in an update pipeline, for updates that change posts without claimVersion()
+// (posts saved before versioning are version 1)
+Post.NEXT_VERSION = { $add: [{ $ifNull: ["$version", 1] }, 1] }
+
+module.exports = Post
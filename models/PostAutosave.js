@@ -0,0 +1,39 @@
+const mongoose = require("mongoose")
+
+// In-progress edits of a post, kept per user and apart from the post itself so autosaving never
+// changes what readers see. Saving the post through PUT /api/posts/:id discards it.
+const postAutosaveSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Version of the post the edits started from
+    baseVersion: {
+      type: Number,
+    },
+    title: String,
+    content: String,
+    format: String,
+    excerpt: String,
+    coverImage: String,
+    tags: [String],
+    category: String,
+    seoTitle: String,
+    seoDescription: String,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for better query performance
+postAutosaveSchema.index({ post: 1, user: 1 }, { unique: true })
+
+module.exports = mongoose.model("PostAutosave", postAutosaveSchema)
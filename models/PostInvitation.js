@@ -0,0 +1,58 @@
+const mongoose = require("mongoose")
+
+const INVITATION_EXPIRE_DAYS = Number.parseInt(process.env.COLLABORATOR_INVITATION_EXPIRE_DAYS) || 14
+
+// Invitation to collaborate on a post; the invitee becomes a collaborator by accepting it
+const postInvitationSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    invitee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: {
+        values: ["editor", "viewer"],
+        message: "Role must be editor or viewer",
+      },
+      default: "editor",
+    },
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "declined", "revoked"],
+      default: "pending",
+    },
+    respondedAt: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + INVITATION_EXPIRE_DAYS * 24 * 60 * 60 * 1000),
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for better query performance
+postInvitationSchema.index({ invitee: 1, status: 1 })
+postInvitationSchema.index({ post: 1, status: 1 })
+
+// Check whether the invitation can still be answered
+postInvitationSchema.methods.isOpen = function () {
+  return this.status === "pending" && this.expiresAt > new Date()
+}
+
+module.exports = mongoose.model("PostInvitation", postInvitationSchema)
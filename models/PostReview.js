@@ -0,0 +1,67 @@
+const mongoose = require("mongoose")
+
+const REVIEW_DECISIONS = ["approve", "request_changes", "reject"]
+
+// A reviewer's decision on a post submitted for review, with notes on specific parts of the content
+const postReviewSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+    },
+    reviewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    decision: {
+      type: String,
+      enum: {
+        values: REVIEW_DECISIONS,
+        message: `Decision must be one of: ${REVIEW_DECISIONS.join(", ")}`,
+      },
+      required: true,
+    },
+    summary: {
+      type: String,
+      trim: true,
+      maxlength: [2000, "Summary cannot exceed 2000 characters"],
+      default: "",
+    },
+    // Inline notes point at a line of the content and/or quote the text they are about
+    notes: [
+      {
+        line: {
+          type: Number,
+          min: [1, "Line numbers start at 1"],
+        },
+        quote: {
+          type: String,
+          maxlength: [500, "Quote cannot exceed 500 characters"],
+        },
+        comment: {
+          type: String,
+          required: [true, "Note comment is required"],
+          trim: true,
+          maxlength: [1000, "Note cannot exceed 1000 characters"],
+        },
+      },
+    ],
+    // The revision of the post that was reviewed, so notes can be matched to the text they refer to
+    revision: {
+      type: Number,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+)
+
+// Indexes for better query performance
+postReviewSchema.index({ post: 1, createdAt: -1 })
+
+const PostReview = mongoose.model("PostReview", postReviewSchema)
+PostReview.DECISIONS = REVIEW_DECISIONS
+
+module.exports = PostReview
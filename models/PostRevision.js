@@ -0,0 +1,105 @@
+const mongoose = require("mongoose")
+
+// Post fields that are versioned. Status, likes, views etc. are not part of a revision.
+const REVISION_FIELDS = [
+  "title",
+  "content",
+  "format",
+  "excerpt",
+  "coverImage",
+  "tags",
+  "category",
+  "seoTitle",
+  "seoDescription",
+]
+
+const REVISION_LIMIT = Number.parseInt(process.env.POST_REVISION_LIMIT) || 50
+
+// Snapshot of a post's content after an update
+const postRevisionSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+    },
+    // Sequential per post, starting at 1
+    number: {
+      type: Number,
+      required: true,
+    },
+    editor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    changedFields: [
+      {
+        type: String,
+      },
+    ],
+    restoredFrom: {
+      type: Number,
+    },
+    title: String,
+    content: String,
+    format: String,
+    excerpt: String,
+    coverImage: String,
+    tags: [String],
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+    },
+    seoTitle: String,
+    seoDescription: String,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+)
+
+// Indexes for better query performance
+postRevisionSchema.index({ post: 1, number: -1 }, { unique: true })
+
+// How often record() takes the next number again when a concurrent edit claimed it first
+const RECORD_ATTEMPTS = 5
+
+// Store the current state of a post as its next revision and drop the oldest ones over the limit
+postRevisionSchema.statics.record = async function (post, editorId, { changedFields, restoredFrom } = {}) {
+  const snapshot = {}
+  for (const field of REVISION_FIELDS) {
+    snapshot[field] = post[field]
+  }
+
+  let revision
+  for (let attempt = 1; !revision; attempt++) {
+    const latest = await this.findOne({ post: post._id }).sort({ number: -1 }).select("number").lean()
+
+    try {
+      revision = await this.create({
+        ...snapshot,
+        post: post._id,
+        number: (latest?.number || 0) + 1,
+        editor: editorId,
+        changedFields: changedFields || REVISION_FIELDS,
+        restoredFrom,
+      })
+    } catch (error) {
+      // The unique { post, number } index rejected a number another edit took in the meantime
+      if (error.code !== 11000 || attempt >= RECORD_ATTEMPTS) throw error
+    }
+  }
+
+  const expired = await this.find({ post: post._id }).sort({ number: -1 }).skip(REVISION_LIMIT).select("_id").lean()
+  if (expired.length > 0) {
+    await this.deleteMany({ _id: { $in: expired.map((doc) => doc._id) } })
+  }
+
+  return revision
+}
+
+const PostRevision = mongoose.model("PostRevision", postRevisionSchema)
+PostRevision.FIELDS = REVISION_FIELDS
+PostRevision.LIMIT = REVISION_LIMIT
+
+module.exports = PostRevision
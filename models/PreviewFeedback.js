@@ -0,0 +1,42 @@
+const mongoose = require("mongoose")
+
+// Feedback left on a draft through a preview link
+const previewFeedbackSchema = new mongoose.Schema(
+  {
+    link: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PreviewLink",
+      required: true,
+    },
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+    },
+    // Set when the reader was logged in, otherwise they may leave a name
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters"],
+    },
+    comment: {
+      type: String,
+      required: [true, "Feedback is required"],
+      trim: true,
+      maxlength: [2000, "Feedback cannot exceed 2000 characters"],
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+)
+
+// Indexes for better query performance
+previewFeedbackSchema.index({ post: 1, createdAt: -1 })
+previewFeedbackSchema.index({ link: 1 })
+
+module.exports = mongoose.model("PreviewFeedback", previewFeedbackSchema)
@@ -0,0 +1,54 @@
+const mongoose = require("mongoose")
+
+// Link that lets anyone holding it read an unpublished post, e.g. a colleague proofreading a draft
+const previewLinkSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    label: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Label cannot exceed 100 characters"],
+      default: "",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    allowFeedback: {
+      type: Boolean,
+      default: true,
+    },
+    viewCount: {
+      type: Number,
+      default: 0,
+    },
+    lastViewedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for better query performance
+previewLinkSchema.index({ post: 1, createdAt: -1 })
+
+// Check whether the link can still be used
+previewLinkSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date()
+}
+
+module.exports = mongoose.model("PreviewLink", previewLinkSchema)
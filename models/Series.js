@@ -0,0 +1,67 @@
+const mongoose = require("mongoose")
+
+// An ordered collection of an author's posts, e.g. a multi-part tutorial
+const seriesSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, "Title is required"],
+      trim: true,
+      maxlength: [200, "Title cannot exceed 200 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Description cannot exceed 1000 characters"],
+      default: "",
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // In reading order
+    posts: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Post",
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for better query performance
+seriesSchema.index({ author: 1, createdAt: -1 })
+seriesSchema.index({ posts: 1 })
+
+// Position of a post in its series with links to the posts around it.
+// Without includeDrafts only published posts count, so readers never get a link they can't open.
+seriesSchema.statics.navigationFor = async function (postId, { includeDrafts = false } = {}) {
+  const series = await this.findOne({ posts: postId })
+    .populate({
+      path: "posts",
+      select: "title slug status",
+      match: includeDrafts ? {} : { status: "Published" },
+    })
+    .lean()
+
+  if (!series) return null
+
+  const posts = series.posts.filter(Boolean)
+  const index = posts.findIndex((post) => post._id.toString() === postId.toString())
+  const link = (post) => (post ? { _id: post._id, title: post.title, slug: post.slug } : null)
+
+  return {
+    _id: series._id,
+    title: series.title,
+    position: index + 1,
+    total: posts.length,
+    previous: index > 0 ? link(posts[index - 1]) : null,
+    next: index >= 0 ? link(posts[index + 1]) : null,
+  }
+}
+
+module.exports = mongoose.model("Series", seriesSchema)
@@ -0,0 +1,88 @@
+const mongoose = require("mongoose")
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    device: {
+      type: String,
+      default: "Unknown device",
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+    },
+    // Set when an admin is signed in as this user for support
+    impersonator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    impersonationReason: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for better query performance
+sessionSchema.index({ user: 1, revokedAt: 1 })
+// Let MongoDB clean up sessions once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// Check whether the session can still be used
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date()
+}
+
+// Record activity, at most once a minute to avoid a write on every request
+sessionSchema.methods.touch = async function (ip) {
+  const now = new Date()
+  if (now - this.lastSeenAt < 60 * 1000) return
+
+  this.lastSeenAt = now
+  if (ip) this.ip = ip
+  await this.save()
+}
+
+// Revoke a single session
+sessionSchema.methods.revoke = async function (reason = "logout") {
+  if (this.revokedAt) return
+
+  this.revokedAt = new Date()
+  this.revokedReason = reason
+  await this.save()
+}
+
+// Revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = function (userId, reason = "logout_all") {
+  return this.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason })
+}
+
+module.exports = mongoose.model("Session", sessionSchema)
@@ -0,0 +1,36 @@
+const mongoose = require("mongoose")
+
+// Site-wide settings managed by admins, stored as key/value pairs
+const settingSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Read a setting, falling back to a default when it was never stored
+settingSchema.statics.getValue = async function (key, defaultValue = null) {
+  const setting = await this.findOne({ key }).lean()
+  return setting ? setting.value : defaultValue
+}
+
+// Create or update a setting
+settingSchema.statics.setValue = function (key, value, userId) {
+  return this.findOneAndUpdate({ key }, { value, updatedBy: userId }, { new: true, upsert: true })
+}
+
+module.exports = mongoose.model("Setting", settingSchema)
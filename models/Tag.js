@@ -0,0 +1,97 @@
+const mongoose = require("mongoose")
+
+// Tags live on Post.tags as plain strings. A Tag document only exists for tags with extra details:
+// a description, or aliases that are rewritten to this tag whenever a post uses them.
+const tagSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      maxlength: [50, "Tag cannot exceed 50 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+      default: "",
+    },
+    aliases: [
+      {
+        type: String,
+        trim: true,
+        lowercase: true,
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for better query performance
+// (not unique: every tag without aliases would collide on the empty array)
+tagSchema.index({ aliases: 1 })
+
+// Tags are compared trimmed and in lowercase, like Post.tags stores them
+tagSchema.statics.normalize = function (name) {
+  return String(name ?? "")
+    .trim()
+    .toLowerCase()
+}
+
+// The Tag document a name belongs to, either as its name or as one of its aliases
+tagSchema.statics.findByNameOrAlias = function (name) {
+  const normalized = this.normalize(name)
+  return this.findOne({ $or: [{ name: normalized }, { aliases: normalized }] })
+}
+
+// Normalize a post's tags: aliases become the tag they stand for, empty and duplicate tags are dropped
+tagSchema.statics.canonicalize = async function (tags) {
+  const names = tags.map((tag) => this.normalize(tag)).filter(Boolean)
+  const aliased = await this.find({ aliases: { $in: names } })
+    .select("name aliases")
+    .lean()
+
+  const canonical = new Map()
+  for (const tag of aliased) {
+    for (const alias of tag.aliases) canonical.set(alias, tag.name)
+  }
+
+  return [...new Set(names.map((name) => canonical.get(name) || name))]
+}
+
+// Replace the tags `from` with `to` on every post that has one of them, keeping the order of the
+// other tags. Runs as a single update and bumps the post version, so an editor still holding the old
+// tags gets a conflict instead of silently putting them back. The tags are passed as literals, since a
+// tag like "$money" would otherwise be read as a field path.
+tagSchema.statics.rewritePosts = async function (from, to) {
+  const Post = mongoose.model("Post")
+  const result = await Post.updateMany({ tags: { $in: from } }, [
+    {
+      $set: {
+        tags: {
+          $reduce: {
+            input: {
+              $map: {
+                input: "$tags",
+                in: { $cond: [{ $in: ["$$this", { $literal: from }] }, { $literal: to }, "$$this"] },
+              },
+            },
+            initialValue: [],
+            in: {
+              $cond: [{ $in: ["$$this", "$$value"] }, "$$value", { $concatArrays: ["$$value", ["$$this"]] }],
+            },
+          },
+        },
+        version: Post.NEXT_VERSION,
+      },
+    },
+  ])
+
+  return result.modifiedCount
+}
+
+module.exports = mongoose.model("Tag", tagSchema)
@@ -1,5 +1,19 @@
 const mongoose = require("mongoose")
 const bcrypt = require("bcryptjs")
+const { generateRandomToken, hashToken } = require("../utils/tokens")
+const { verifyTotp } = require("../utils/totp")
+const { searchWordsOf } = require("../utils/words")
+
+const PASSWORD_RESET_EXPIRE_MINUTES = Number.parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60
+const EMAIL_VERIFICATION_EXPIRE_HOURS = Number.parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24
+// Addresses of the system user and of deleted accounts. Nobody can sign up with them.
+const RESERVED_EMAIL_DOMAIN = "deleted.example.com"
+
+const isReservedEmail = (email) =>
+  String(email || "")
+    .toLowerCase()
+    .trim()
+    .endsWith(`@${RESERVED_EMAIL_DOMAIN}`)
 
 const userSchema = new mongoose.Schema(
   {
@@ -9,6 +23,11 @@ const userSchema = new mongoose.Schema(
       trim: true,
       maxlength: [50, "Name cannot exceed 50 characters"],
     },
+    // Lowercase words of the name for search suggestions (see utils/suggest.js)
+    nameWords: {
+      type: [String],
+      select: false,
+    },
     email: {
       type: String,
       required: [true, "Email is required"],
@@ -16,12 +35,45 @@ const userSchema = new mongoose.Schema(
       lowercase: true,
       trim: true,
       match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, "Please enter a valid email"],
+      validate: {
+        validator: function (email) {
+          return this.isSystem || Boolean(this.deletedAt) || !isReservedEmail(email)
+        },
+        message: "This email address cannot be used",
+      },
     },
     password: {
       type: String,
-      required: [true, "Password is required"],
+      // Accounts created through an external provider may not have a local password
+      required: [
+        function () {
+          return !this.identities || this.identities.length === 0
+        },
+        "Password is required",
+      ],
       minlength: [6, "Password must be at least 6 characters"],
     },
+    identities: [
+      {
+        provider: {
+          type: String,
+          required: true,
+        },
+        subject: {
+          type: String,
+          required: true,
+        },
+        email: {
+          type: String,
+          lowercase: true,
+          trim: true,
+        },
+        linkedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     bio: {
       type: String,
       maxlength: [500, "Bio cannot exceed 500 characters"],
@@ -45,8 +97,9 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ["user", "admin"],
-      default: "user",
+      // "user" is the pre-permissions role, treated as "author" (see scripts/migrateRoles.js)
+      enum: ["reader", "author", "reviewer", "editor", "moderator", "admin", "user"],
+      default: "author",
     },
     isActive: {
       type: Boolean,
@@ -56,6 +109,89 @@ const userSchema = new mongoose.Schema(
       type: Date,
       default: Date.now,
     },
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lastFailedLoginAt: {
+      type: Date,
+    },
+    lockUntil: {
+      type: Date,
+    },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+    },
+    emailVerificationToken: {
+      type: String,
+      select: false,
+    },
+    emailVerificationExpires: {
+      type: Date,
+      select: false,
+    },
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      enabledAt: {
+        type: Date,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+    },
+    deletion: {
+      requestedAt: {
+        type: Date,
+      },
+      scheduledFor: {
+        type: Date,
+      },
+      postsAction: {
+        type: String,
+        enum: ["delete", "reassign"],
+      },
+    },
+    deletedAt: {
+      type: Date,
+    },
+    // The built-in owner of posts kept from deleted accounts (see jobs/accountDeletion.js)
+    isSystem: {
+      type: Boolean,
+      default: false,
+    },
+    passwordResetToken: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
+    // Set by an admin; the password can't be used until it has been reset
+    passwordResetRequired: {
+      type: Boolean,
+      default: false,
+    },
   },
   {
     timestamps: true,
@@ -65,6 +201,30 @@ const userSchema = new mongoose.Schema(
 // Index for better query performance
 // userSchema.index({ email: 1 }) --> We have already written unique: true, so it is not necessary
 userSchema.index({ createdAt: -1 })
+userSchema.index({ "deletion.scheduledFor": 1 }, { sparse: true })
+userSchema.index({ name: "text", bio: "text" }, { weights: { name: 5, bio: 1 } })
+userSchema.index({ isSystem: 1 }, { unique: true, partialFilterExpression: { isSystem: true } })
+userSchema.index({ nameWords: 1, isActive: 1 })
+// An external account can only be linked to one user
+userSchema.index(
+  { "identities.provider": 1, "identities.subject": 1 },
+  { unique: true, partialFilterExpression: { "identities.subject": { $exists: true } } },
+)
+
+// Keep the name words in step with the name, whether it's saved or updated with a query
+userSchema.pre("save", function () {
+  if (this.isModified("name")) {
+    this.nameWords = searchWordsOf(this.name)
+  }
+})
+
+userSchema.pre("findOneAndUpdate", function () {
+  const update = this.getUpdate()
+  const name = update?.$set?.name ?? update?.name
+  if (typeof name === "string") {
+    this.set("nameWords", searchWordsOf(name))
+  }
+})
 
 // Hash password before saving
 userSchema.pre("save", async function (next) {
@@ -81,13 +241,93 @@ userSchema.pre("save", async function (next) {
 
 // Compare password method
 userSchema.methods.comparePassword = async function (candidatePassword) {
+  if (!this.password) return false
   return await bcrypt.compare(candidatePassword, this.password)
 }
 
-// Remove password from JSON output
+// Create a single-use password reset token. Only its hash is stored.
+userSchema.methods.createPasswordResetToken = function () {
+  const token = generateRandomToken()
+  this.passwordResetToken = hashToken(token)
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_EXPIRE_MINUTES * 60 * 1000)
+  return { token, expiresInMinutes: PASSWORD_RESET_EXPIRE_MINUTES }
+}
+
+// Find the user a password reset token belongs to, if it is still valid
+userSchema.statics.findByPasswordResetToken = function (token) {
+  return this.findOne({
+    passwordResetToken: hashToken(token),
+    passwordResetExpires: { $gt: new Date() },
+  }).select("+passwordResetToken +passwordResetExpires")
+}
+
+// Create an email verification token. Only its hash is stored.
+userSchema.methods.createEmailVerificationToken = function () {
+  const token = generateRandomToken()
+  this.emailVerificationToken = hashToken(token)
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_EXPIRE_HOURS * 60 * 60 * 1000)
+  return { token, expiresInHours: EMAIL_VERIFICATION_EXPIRE_HOURS }
+}
+
+// Find the user an email verification token belongs to, if it is still valid
+userSchema.statics.findByEmailVerificationToken = function (token) {
+  return this.findOne({
+    emailVerificationToken: hashToken(token),
+    emailVerificationExpires: { $gt: new Date() },
+  }).select("+emailVerificationToken +emailVerificationExpires")
+}
+
+// Whether an address belongs to the system user or a deleted account
+userSchema.statics.isReservedEmail = isReservedEmail
+
+// Check a TOTP code against the active secret (needs +twoFactor.secret +twoFactor.lastUsedStep).
+// A code is accepted once; the caller has to save the user afterwards.
+userSchema.methods.verifyTwoFactorCode = function (code) {
+  if (!this.twoFactor.secret) return false
+
+  const step = verifyTotp(this.twoFactor.secret, code)
+  if (step === null || (this.twoFactor.lastUsedStep && step <= this.twoFactor.lastUsedStep)) {
+    return false
+  }
+
+  this.twoFactor.lastUsedStep = step
+  return true
+}
+
+// Replace the recovery codes and return the new plain codes (shown to the user once)
+userSchema.methods.generateRecoveryCodes = function (count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = generateRandomToken(5)
+    return `${raw.substring(0, 5)}-${raw.substring(5)}`
+  })
+  this.twoFactor.recoveryCodes = codes.map((code) => hashToken(code))
+  return codes
+}
+
+// Consume a recovery code (needs +twoFactor.recoveryCodes). The caller has to save the user afterwards.
+userSchema.methods.useRecoveryCode = function (code) {
+  const hashed = hashToken(String(code || "").trim().toLowerCase())
+  const index = (this.twoFactor.recoveryCodes || []).indexOf(hashed)
+  if (index === -1) return false
+
+  this.twoFactor.recoveryCodes.splice(index, 1)
+  return true
+}
+
+// Remove password and secrets from JSON output
 userSchema.methods.toJSON = function () {
   const userObject = this.toObject()
   delete userObject.password
+  delete userObject.passwordResetToken
+  delete userObject.passwordResetExpires
+  delete userObject.emailVerificationToken
+  delete userObject.emailVerificationExpires
+  if (userObject.twoFactor) {
+    delete userObject.twoFactor.secret
+    delete userObject.twoFactor.pendingSecret
+    delete userObject.twoFactor.recoveryCodes
+    delete userObject.twoFactor.lastUsedStep
+  }
   return userObject
 }
 
@@ -99,4 +339,7 @@ userSchema.virtual("postsCount", {
   count: true,
 })
 
-module.exports = mongoose.model("User", userSchema)
+const User = mongoose.model("User", userSchema)
+User.RESERVED_EMAIL_DOMAIN = RESERVED_EMAIL_DOMAIN
+
+module.exports = User
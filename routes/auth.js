@@ -1,15 +1,72 @@
 const express = require("express")
-const jwt = require("jsonwebtoken")
 const User = require("../models/User")
-const { auth } = require("../middleware/auth")
+const Session = require("../models/Session")
+const AuditLog = require("../models/AuditLog")
+const { auth, rejectApiTokens, denyImpersonation } = require("../middleware/auth")
+const { issueAuthTokens, rotateRefreshToken, verifyChallengeToken } = require("../utils/tokens")
+const { sendPasswordResetEmail, sendVerificationEmail } = require("../utils/emails")
+const { generateSecret, buildOtpauthUrl } = require("../utils/totp")
+const { isAdminTwoFactorRequired } = require("../utils/securityPolicy")
+const { twoFactorChallenge, passwordResetRequired, createLoginSession } = require("../utils/login")
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  checkRegistrationAllowed,
+  recordRegistrationAttempt,
+} = require("../utils/bruteForce")
 
 const router = express.Router()
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET || "your-secret-key", {
-    expiresIn: process.env.JWT_EXPIRE || "30d",
+// Account management is only available to logged-in sessions
+router.use(rejectApiTokens)
+
+// Answer a login attempt refused by the brute-force protection
+const sendLoginBlocked = (res, block) => {
+  res.set("Retry-After", String(block.retryAfter))
+
+  if (block.locked) {
+    return res.status(423).json({
+      message:
+        block.scope === "account"
+          ? "Account is temporarily locked due to too many failed login attempts"
+          : "Too many failed login attempts from your network",
+      code: block.scope === "account" ? "ACCOUNT_LOCKED" : "IP_LOCKED",
+      lockedUntil: block.lockedUntil,
+      retryAfter: block.retryAfter,
+    })
+  }
+
+  res.status(429).json({
+    message: "Too many failed login attempts. Please wait before trying again.",
+    code: "LOGIN_THROTTLED",
+    retryAfter: block.retryAfter,
+  })
+}
+
+// Count a failed password or 2FA code and answer the attempt
+const handleLoginFailure = async (req, res, user, reason, message) => {
+  const state = await recordLoginFailure({ ip: req.ip, user })
+  await AuditLog.record(req, "login.failed", {
+    targetUser: user?._id,
+    email: user?.email || req.body.email,
+    details: { reason },
   })
+
+  if (state?.locked) {
+    await AuditLog.record(req, "account.locked", {
+      targetUser: user._id,
+      email: user.email,
+      details: { lockedUntil: state.lockedUntil },
+    })
+    return sendLoginBlocked(res, { scope: "account", ...state })
+  }
+
+  res.status(400).json({ message })
+}
+
+// Finish a login once every required factor has been checked
+const completeLogin = async (user, req, res) => {
+  res.json(await createLoginSession(user, req))
 }
 
 // @route   POST /api/auth/register
@@ -28,6 +85,23 @@ router.post("/register", async (req, res) => {
       return res.status(400).json({ message: "Password must be at least 6 characters" })
     }
 
+    if (User.isReservedEmail(email)) {
+      return res.status(400).json({ message: "This email address cannot be used" })
+    }
+
+    // Limit how many accounts a single IP can create
+    const block = await checkRegistrationAllowed(req.ip)
+    if (block) {
+      await AuditLog.record(req, "register.blocked", { email, details: block })
+      res.set("Retry-After", String(block.retryAfter))
+      return res.status(429).json({
+        message: "Too many accounts created from your network. Please try again later.",
+        code: "REGISTRATION_THROTTLED",
+        retryAfter: block.retryAfter,
+      })
+    }
+    await recordRegistrationAttempt(req.ip)
+
     // Check if user already exists
     const existingUser = await User.findOne({ email })
     if (existingUser) {
@@ -41,19 +115,29 @@ router.post("/register", async (req, res) => {
       password,
     })
 
+    const verification = user.createEmailVerificationToken()
     await user.save()
 
-    // Generate token
-    const token = generateToken(user._id)
+    try {
+      await sendVerificationEmail(user, verification.token, verification.expiresInHours)
+    } catch (mailError) {
+      // The user can request a new link, so registration still succeeds
+      console.error("Verification email error:", mailError)
+    }
+
+    // Start a session
+    const { token, refreshToken } = await issueAuthTokens(user, req)
 
     res.status(201).json({
       message: "User registered successfully",
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
         role: user.role,
+        emailVerified: user.emailVerified,
         createdAt: user.createdAt,
       },
     })
@@ -83,8 +167,16 @@ router.post("/login", async (req, res) => {
 
     // Find user
     const user = await User.findOne({ email: email.toLowerCase().trim() })
+
+    // Refuse attempts while the IP or the account is throttled
+    const block = await checkLoginAllowed({ ip: req.ip, user })
+    if (block) {
+      await AuditLog.record(req, "login.blocked", { targetUser: user?._id, email, details: block })
+      return sendLoginBlocked(res, block)
+    }
+
     if (!user) {
-      return res.status(400).json({ message: "Invalid email or password" })
+      return handleLoginFailure(req, res, null, "unknown_email", "Invalid email or password")
     }
 
     // Check if account is active
@@ -95,39 +187,250 @@ router.post("/login", async (req, res) => {
     // Check password
     const isMatch = await user.comparePassword(password)
     if (!isMatch) {
-      return res.status(400).json({ message: "Invalid email or password" })
+      return handleLoginFailure(req, res, user, "wrong_password", "Invalid email or password")
     }
 
-    // Update last login
-    user.lastLogin = new Date()
-    await user.save()
+    const resetRequired = passwordResetRequired(user)
+    if (resetRequired) {
+      return res.status(403).json(resetRequired)
+    }
 
-    // Generate token
-    const token = generateToken(user._id)
+    // With 2FA enabled the password only earns a challenge token for the second step
+    if (user.twoFactor?.enabled) {
+      return res.json(twoFactorChallenge(user))
+    }
 
-    res.json({
-      message: "Login successful",
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        lastLogin: user.lastLogin,
-      },
-    })
+    await completeLogin(user, req, res)
   } catch (error) {
     console.error("Login error:", error)
     res.status(500).json({ message: "Server error during login" })
   }
 })
 
+// @route   POST /api/auth/2fa/verify
+// @desc    Complete a two-factor login with a TOTP or recovery code
+// @access  Public
+router.post("/2fa/verify", async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: "Please provide the challenge token and a code" })
+    }
+
+    const userId = verifyChallengeToken(challengeToken)
+    if (!userId) {
+      return res.status(401).json({ message: "Login challenge is invalid or has expired. Please log in again." })
+    }
+
+    const user = await User.findById(userId).select(
+      "+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes",
+    )
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({ message: "Login challenge is invalid or has expired. Please log in again." })
+    }
+
+    // Guessing codes counts against the same limits as guessing passwords
+    const block = await checkLoginAllowed({ ip: req.ip, user })
+    if (block) {
+      await AuditLog.record(req, "login.blocked", { targetUser: user._id, email: user.email, details: block })
+      return sendLoginBlocked(res, block)
+    }
+
+    const verified = code ? user.verifyTwoFactorCode(code) : user.useRecoveryCode(recoveryCode)
+    if (!verified) {
+      return handleLoginFailure(req, res, user, "wrong_2fa_code", "Invalid two-factor authentication code")
+    }
+
+    // The reset may have been forced after the challenge was issued (the code stays used)
+    const resetRequired = passwordResetRequired(user)
+    if (resetRequired) {
+      await user.save()
+      return res.status(403).json(resetRequired)
+    }
+
+    await completeLogin(user, req, res)
+  } catch (error) {
+    console.error("Two-factor verify error:", error)
+    res.status(500).json({ message: "Server error during login" })
+  }
+})
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: "Refresh token is required" })
+    }
+
+    const result = await rotateRefreshToken(refreshToken, req)
+    if (result.error) {
+      return res.status(401).json({ message: result.error })
+    }
+
+    const user = await User.findById(result.session.user)
+    if (!user || !user.isActive) {
+      await result.session.revoke("account_inactive")
+      return res.status(401).json({ message: "Account is deactivated." })
+    }
+
+    res.json({
+      token: result.token,
+      refreshToken: result.refreshToken,
+    })
+  } catch (error) {
+    console.error("Refresh token error:", error)
+    res.status(500).json({ message: "Server error refreshing token" })
+  }
+})
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the current session
+// @access  Private
+router.post("/logout", auth, async (req, res) => {
+  try {
+    await req.authSession.revoke("logout")
+
+    res.json({ message: "Logged out successfully" })
+  } catch (error) {
+    console.error("Logout error:", error)
+    res.status(500).json({ message: "Server error during logout" })
+  }
+})
+
+// @route   POST /api/auth/logout-all
+// @desc    Revoke every session of the current user
+// @access  Private
+router.post("/logout-all", auth, denyImpersonation, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, "logout_all")
+
+    res.json({
+      message: "Logged out from all devices",
+      revokedSessions: result.modifiedCount,
+    })
+  } catch (error) {
+    console.error("Logout all error:", error)
+    res.status(500).json({ message: "Server error during logout" })
+  }
+})
+
+// @route   GET /api/auth/sessions
+// @desc    Get the current user's active sessions
+// @access  Private
+router.get("/sessions", auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .sort({ lastSeenAt: -1 })
+      .lean()
+
+    res.json({
+      sessions: sessions.map((session) => ({
+        id: session._id,
+        device: session.device,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        lastSeenAt: session.lastSeenAt,
+        createdAt: session.createdAt,
+        current: session._id.toString() === req.authSession.id,
+      })),
+    })
+  } catch (error) {
+    console.error("Get sessions error:", error)
+    res.status(500).json({ message: "Server error fetching sessions" })
+  }
+})
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete("/sessions/:id", auth, denyImpersonation, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id })
+
+    if (!session || !session.isActive()) {
+      return res.status(404).json({ message: "Session not found" })
+    }
+
+    await session.revoke("revoked_by_user")
+
+    res.json({ message: "Session revoked successfully" })
+  } catch (error) {
+    console.error("Revoke session error:", error)
+
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "Session not found" })
+    }
+
+    res.status(500).json({ message: "Server error revoking session" })
+  }
+})
+
+// @route   POST /api/auth/verify-email
+// @desc    Verify an email address using the emailed token
+// @access  Public
+router.post("/verify-email", async (req, res) => {
+  try {
+    const { token } = req.body
+
+    if (!token) {
+      return res.status(400).json({ message: "Verification token is required" })
+    }
+
+    const user = await User.findByEmailVerificationToken(token)
+    if (!user) {
+      return res.status(400).json({ message: "Verification token is invalid or has expired" })
+    }
+
+    user.emailVerified = true
+    user.emailVerifiedAt = new Date()
+    user.emailVerificationToken = undefined
+    user.emailVerificationExpires = undefined
+    await user.save()
+
+    res.json({ message: "Email verified successfully" })
+  } catch (error) {
+    console.error("Verify email error:", error)
+    res.status(500).json({ message: "Server error verifying email" })
+  }
+})
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification link
+// @access  Private
+router.post("/resend-verification", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id)
+
+    if (user.emailVerified) {
+      return res.status(400).json({ message: "Email is already verified" })
+    }
+
+    const { token, expiresInHours } = user.createEmailVerificationToken()
+    await user.save()
+    await sendVerificationEmail(user, token, expiresInHours)
+
+    res.json({ message: "Verification email sent" })
+  } catch (error) {
+    console.error("Resend verification error:", error)
+    res.status(500).json({ message: "Server error sending verification email" })
+  }
+})
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
 router.get("/me", auth, async (req, res) => {
   try {
-    const user = await User.findById(req.user.id).select("-password").populate("postsCount")
+    const user = await User.findById(req.user.id).populate("postsCount")
 
     res.json({
       user: {
@@ -140,6 +443,11 @@ router.get("/me", auth, async (req, res) => {
         twitter: user.twitter,
         linkedin: user.linkedin,
         role: user.role,
+        emailVerified: user.emailVerified,
+        hasPassword: Boolean(user.password),
+        connectedProviders: user.identities.map((identity) => identity.provider),
+        deletionScheduledFor: user.deletion?.scheduledFor,
+        impersonatedBy: req.impersonator,
         createdAt: user.createdAt,
         lastLogin: user.lastLogin,
       },
@@ -188,11 +496,14 @@ router.put("/profile", auth, async (req, res) => {
 // @route   PUT /api/auth/change-password
 // @desc    Change user password
 // @access  Private
-router.put("/change-password", auth, async (req, res) => {
+router.put("/change-password", auth, denyImpersonation, async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body
 
-    if (!currentPassword || !newPassword) {
+    const user = await User.findById(req.user.id)
+
+    // Users who signed up through an external provider can set a first password without a current one
+    if ((user.password && !currentPassword) || !newPassword) {
       return res.status(400).json({ message: "Please provide current and new password" })
     }
 
@@ -200,12 +511,12 @@ router.put("/change-password", auth, async (req, res) => {
       return res.status(400).json({ message: "New password must be at least 6 characters" })
     }
 
-    const user = await User.findById(req.user.id)
-
     // Check current password
-    const isMatch = await user.comparePassword(currentPassword)
-    if (!isMatch) {
-      return res.status(400).json({ message: "Current password is incorrect" })
+    if (user.password) {
+      const isMatch = await user.comparePassword(currentPassword)
+      if (!isMatch) {
+        return res.status(400).json({ message: "Current password is incorrect" })
+      }
     }
 
     // Update password
@@ -219,4 +530,246 @@ router.put("/change-password", auth, async (req, res) => {
   }
 })
 
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post("/forgot-password", async (req, res) => {
+  try {
+    const { email } = req.body
+
+    if (!email) {
+      return res.status(400).json({ message: "Please provide your email" })
+    }
+
+    // Always answer the same way so the endpoint cannot be used to discover accounts
+    const response = { message: "If an account exists for this email, a password reset link has been sent" }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() })
+    if (!user || !user.isActive) {
+      return res.json(response)
+    }
+
+    const { token, expiresInMinutes } = user.createPasswordResetToken()
+    await user.save()
+
+    try {
+      await sendPasswordResetEmail(user, token, expiresInMinutes)
+    } catch (mailError) {
+      console.error("Password reset email error:", mailError)
+      user.passwordResetToken = undefined
+      user.passwordResetExpires = undefined
+      await user.save()
+    }
+
+    res.json(response)
+  } catch (error) {
+    console.error("Forgot password error:", error)
+    res.status(500).json({ message: "Server error requesting password reset" })
+  }
+})
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { token, password } = req.body
+
+    if (!token || !password) {
+      return res.status(400).json({ message: "Please provide the reset token and a new password" })
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({ message: "Password must be at least 6 characters" })
+    }
+
+    const user = await User.findByPasswordResetToken(token)
+    if (!user || !user.isActive) {
+      return res.status(400).json({ message: "Password reset token is invalid or has expired" })
+    }
+
+    user.password = password
+    user.passwordResetToken = undefined
+    user.passwordResetExpires = undefined
+    user.passwordResetRequired = false
+    user.failedLoginAttempts = 0
+    user.lockUntil = undefined
+    // Receiving the reset email proves ownership of the address
+    if (!user.emailVerified) {
+      user.emailVerified = true
+      user.emailVerifiedAt = new Date()
+    }
+    await user.save()
+
+    // Anyone holding an old session has to sign in with the new password
+    await Session.revokeAllForUser(user._id, "password_reset")
+
+    res.json({ message: "Password has been reset. Please log in with your new password." })
+  } catch (error) {
+    console.error("Reset password error:", error)
+    res.status(500).json({ message: "Server error resetting password" })
+  }
+})
+
+// @route   GET /api/auth/2fa
+// @desc    Get two-factor authentication status
+// @access  Private
+router.get("/2fa", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("+twoFactor.recoveryCodes")
+
+    res.json({
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      recoveryCodesRemaining: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0,
+      required: user.role === "admin" && (await isAdminTwoFactorRequired()),
+    })
+  } catch (error) {
+    console.error("Get 2FA status error:", error)
+    res.status(500).json({ message: "Server error fetching two-factor status" })
+  }
+})
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrollment and get a provisioning URI
+// @access  Private
+router.post("/2fa/setup", auth, denyImpersonation, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id)
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is already enabled" })
+    }
+
+    const secret = generateSecret()
+    user.twoFactor.pendingSecret = secret
+    await user.save()
+
+    res.json({
+      secret,
+      otpauthUrl: buildOtpauthUrl({
+        secret,
+        accountName: user.email,
+        issuer: process.env.TWO_FACTOR_ISSUER || "Blogify",
+      }),
+    })
+  } catch (error) {
+    console.error("2FA setup error:", error)
+    res.status(500).json({ message: "Server error starting two-factor setup" })
+  }
+})
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code from the authenticator app
+// @access  Private
+router.post("/2fa/enable", auth, denyImpersonation, async (req, res) => {
+  try {
+    const { code } = req.body
+
+    if (!code) {
+      return res.status(400).json({ message: "Please provide a code from your authenticator app" })
+    }
+
+    const user = await User.findById(req.user.id).select("+twoFactor.pendingSecret")
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is already enabled" })
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: "Please start two-factor setup first" })
+    }
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret
+    if (!user.verifyTwoFactorCode(code)) {
+      return res.status(400).json({ message: "Invalid two-factor authentication code" })
+    }
+
+    user.twoFactor.pendingSecret = undefined
+    user.twoFactor.enabled = true
+    user.twoFactor.enabledAt = new Date()
+    const recoveryCodes = user.generateRecoveryCodes()
+    await user.save()
+
+    res.json({
+      message: "Two-factor authentication enabled",
+      recoveryCodes,
+    })
+  } catch (error) {
+    console.error("2FA enable error:", error)
+    res.status(500).json({ message: "Server error enabling two-factor authentication" })
+  }
+})
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication
+// @access  Private
+router.post("/2fa/disable", auth, denyImpersonation, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body
+
+    const user = await User.findById(req.user.id).select(
+      "+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes",
+    )
+
+    // Accounts without a local password (external sign-in only) confirm with the code alone
+    if ((user.password && !password) || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: "Please provide your password and a code" })
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" })
+    }
+
+    if (user.role === "admin" && (await isAdminTwoFactorRequired())) {
+      return res.status(400).json({ message: "Two-factor authentication is required for admin accounts" })
+    }
+
+    const isMatch = user.password ? await user.comparePassword(password) : true
+    const verified = code ? user.verifyTwoFactorCode(code) : user.useRecoveryCode(recoveryCode)
+    if (!isMatch || !verified) {
+      return res.status(400).json({ message: "Invalid password or code" })
+    }
+
+    user.twoFactor = { enabled: false }
+    await user.save()
+
+    res.json({ message: "Two-factor authentication disabled" })
+  } catch (error) {
+    console.error("2FA disable error:", error)
+    res.status(500).json({ message: "Server error disabling two-factor authentication" })
+  }
+})
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace the recovery codes
+// @access  Private
+router.post("/2fa/recovery-codes", auth, denyImpersonation, async (req, res) => {
+  try {
+    const { code } = req.body
+
+    if (!code) {
+      return res.status(400).json({ message: "Please provide a code from your authenticator app" })
+    }
+
+    const user = await User.findById(req.user.id).select("+twoFactor.secret +twoFactor.lastUsedStep")
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" })
+    }
+
+    if (!user.verifyTwoFactorCode(code)) {
+      return res.status(400).json({ message: "Invalid two-factor authentication code" })
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes()
+    await user.save()
+
+    res.json({ recoveryCodes })
+  } catch (error) {
+    console.error("Recovery codes error:", error)
+    res.status(500).json({ message: "Server error generating recovery codes" })
+  }
+})
+
 module.exports = router
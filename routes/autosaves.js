@@ -0,0 +1,154 @@
+const express = require("express")
+const Post = require("../models/Post")
+const PostAutosave = require("../models/PostAutosave")
+const { auth, requireScope } = require("../middleware/auth")
+const { can } = require("../utils/permissions")
+
+// Autosaved edits of a post, mounted next to the post routes under /api/posts
+const router = express.Router()
+
+const AUTOSAVE_FIELDS = [
+  "title",
+  "content",
+  "format",
+  "excerpt",
+  "coverImage",
+  "tags",
+  "category",
+  "seoTitle",
+  "seoDescription",
+]
+
+// Returns an error message for autosaved fields of the wrong type, or null when they are all fine
+const validateChanges = (changes) => {
+  for (const [field, value] of Object.entries(changes)) {
+    if (field === "tags") {
+      if (!Array.isArray(value) || !value.every((tag) => typeof tag === "string")) {
+        return "tags must be an array of strings"
+      }
+    } else if (typeof value !== "string") {
+      return `${field} must be a string`
+    }
+  }
+
+  return null
+}
+
+// @route   GET /api/posts/:id/autosave
+// @desc    Get the current user's autosaved edits of a post
+// @access  Private
+router.get("/:id/autosave", auth, requireScope("read"), async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id).select("author collaborators version")
+
+    if (!post || !can(req.user, "post:update", post)) {
+      return res.status(404).json({ message: "Post not found" })
+    }
+
+    const autosave = await PostAutosave.findOne({ post: post._id, user: req.user._id }).lean()
+
+    if (!autosave) {
+      return res.status(404).json({ message: "No autosaved changes" })
+    }
+
+    res.json({
+      autosave,
+      currentVersion: post.version,
+      // The post was saved since these edits started, so they may need merging
+      stale: autosave.baseVersion !== post.version,
+    })
+  } catch (error) {
+    console.error("Get autosave error:", error)
+
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "Post not found" })
+    }
+
+    res.status(500).json({ message: "Server error fetching autosave" })
+  }
+})
+
+// @route   PUT /api/posts/:id/autosave
+// @desc    Autosave in-progress edits of a post without changing the post
+// @access  Private
+router.put("/:id/autosave", auth, requireScope("posts:write"), async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id).select("author collaborators version")
+
+    if (!post) {
+      return res.status(404).json({ message: "Post not found" })
+    }
+
+    if (!can(req.user, "post:update", post)) {
+      return res.status(403).json({ message: "Access denied" })
+    }
+
+    const changes = {}
+    for (const field of AUTOSAVE_FIELDS) {
+      if (req.body[field] !== undefined) changes[field] = req.body[field]
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ message: "Nothing to autosave" })
+    }
+
+    const invalid = validateChanges(changes)
+    if (invalid) {
+      return res.status(400).json({ message: invalid })
+    }
+
+    // The first autosave remembers which version the edits are based on
+    const baseVersion = Number.parseInt(req.body.version) || post.version
+    const upsert = () =>
+      PostAutosave.findOneAndUpdate(
+        { post: post._id, user: req.user._id },
+        { $set: changes, $setOnInsert: { baseVersion } },
+        { new: true, upsert: true, runValidators: true },
+      )
+
+    // Two first autosaves at once both try to insert; the one the unique index turns away updates instead
+    const autosave = await upsert().catch((error) => {
+      if (error.code !== 11000) throw error
+      return upsert()
+    })
+
+    res.json({
+      message: "Changes autosaved",
+      savedAt: autosave.updatedAt,
+      baseVersion: autosave.baseVersion,
+    })
+  } catch (error) {
+    console.error("Autosave error:", error)
+
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "Post not found" })
+    }
+
+    res.status(500).json({ message: "Server error autosaving changes" })
+  }
+})
+
+// @route   DELETE /api/posts/:id/autosave
+// @desc    Discard the current user's autosaved edits of a post
+// @access  Private
+router.delete("/:id/autosave", auth, requireScope("posts:write"), async (req, res) => {
+  try {
+    const result = await PostAutosave.deleteOne({ post: req.params.id, user: req.user._id })
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: "No autosaved changes" })
+    }
+
+    res.json({ message: "Autosaved changes discarded" })
+  } catch (error) {
+    console.error("Discard autosave error:", error)
+
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "Post not found" })
+    }
+
+    res.status(500).json({ message: "Server error discarding autosave" })
+  }
+})
+
+module.exports = router
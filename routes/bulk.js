@@ -0,0 +1,136 @@
+const express = require("express")
+const BulkOperation = require("../models/BulkOperation")
+const Category = require("../models/Category")
+const { auth, requireScope } = require("../middleware/auth")
+const { validateBulkParams, resolveBulkTargets, runBulkOperation } = require("../utils/bulkOperations")
+
+// Bulk post operations, mounted under /api/posts/bulk (before the post routes, so "/bulk" isn't taken for a post ID)
+const router = express.Router()
+
+// @route   POST /api/posts/bulk
+// @desc    Apply an action to many posts, picked by ID or by filter. Runs in the background;
+//          poll the returned operation for progress and per-post results.
+// @access  Private
+router.post("/", auth, requireScope("posts:write"), async (req, res) => {
+  try {
+    const { action, ids, filter, tags, category } = req.body
+
+    if (!BulkOperation.ACTIONS.includes(action)) {
+      return res.status(400).json({ message: `Action must be one of: ${BulkOperation.ACTIONS.join(", ")}` })
+    }
+
+    if (ids !== undefined && filter !== undefined) {
+      return res.status(400).json({ message: "Please provide either ids or a filter, not both" })
+    }
+
+    const paramsError = validateBulkParams(action, { tags, category })
+    if (paramsError) {
+      return res.status(400).json({ message: paramsError })
+    }
+
+    const params = { tags }
+    // The category can be sent by ID or slug; the operation stores its ID
+    if (action === "set_category") {
+      const found = await Category.findByIdOrSlug(category).select("_id").lean()
+      if (!found) {
+        return res.status(400).json({ message: "Category not found" })
+      }
+      params.category = found._id
+    }
+
+    const { postIds, error } = await resolveBulkTargets(req.user, { ids, filter })
+    if (error) {
+      return res.status(400).json({ message: error })
+    }
+
+    const operation = await BulkOperation.create({
+      user: req.user._id,
+      action,
+      params,
+      filter: ids === undefined ? filter : undefined,
+      posts: postIds,
+      total: postIds.length,
+    })
+
+    // Permissions are checked for every post while the operation runs
+    runBulkOperation(operation, req.user).catch((runError) => console.error("Bulk operation error:", runError))
+
+    res.status(202).json({
+      message: `Bulk ${action} started for ${postIds.length} post(s)`,
+      operation,
+    })
+  } catch (error) {
+    console.error("Create bulk operation error:", error)
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({ message: errors.join(", ") })
+    }
+
+    res.status(500).json({ message: "Server error starting bulk operation" })
+  }
+})
+
+// @route   GET /api/posts/bulk
+// @desc    Get the current user's bulk operations (without per-post results)
+// @access  Private
+router.get("/", auth, requireScope("read"), async (req, res) => {
+  try {
+    const page = Number.parseInt(req.query.page) || 1
+    const limit = Number.parseInt(req.query.limit) || 20
+    const skip = (page - 1) * limit
+
+    const query = { user: req.user._id }
+
+    const operations = await BulkOperation.find(query)
+      .select("-results -posts")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean()
+
+    const total = await BulkOperation.countDocuments(query)
+    const totalPages = Math.ceil(total / limit)
+
+    res.json({
+      operations,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalOperations: total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1,
+      },
+    })
+  } catch (error) {
+    console.error("Get bulk operations error:", error)
+    res.status(500).json({ message: "Server error fetching bulk operations" })
+  }
+})
+
+// @route   GET /api/posts/bulk/:operationId
+// @desc    Get the progress and per-post results of a bulk operation
+// @access  Private
+router.get("/:operationId", auth, requireScope("read"), async (req, res) => {
+  try {
+    const operation = await BulkOperation.findOne({ _id: req.params.operationId, user: req.user._id })
+      .select("-posts")
+      .lean()
+
+    if (!operation) {
+      return res.status(404).json({ message: "Bulk operation not found" })
+    }
+
+    res.json(operation)
+  } catch (error) {
+    console.error("Get bulk operation error:", error)
+
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "Bulk operation not found" })
+    }
+
+    res.status(500).json({ message: "Server error fetching bulk operation" })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,290 @@
+const express = require("express")
+const mongoose = require("mongoose")
+const Category = require("../models/Category")
+const Post = require("../models/Post")
+const { auth, authorize } = require("../middleware/auth")
+const { slugify } = require("../utils/slugify")
+
+const router = express.Router()
+
+// Nest categories under their parents. Each one gets the number of published posts filed directly under it
+// (postCount) and including its subcategories (totalPostCount).
+const buildTree = (categories, counts) => {
+  const nodes = new Map(
+    categories.map((category) => [
+      String(category._id),
+      { ...category, postCount: counts.get(String(category._id)) || 0, children: [] },
+    ]),
+  )
+
+  const roots = []
+  for (const node of nodes.values()) {
+    const parent = node.parent && nodes.get(String(node.parent))
+    if (parent) {
+      parent.children.push(node)
+    } else {
+      roots.push(node)
+    }
+  }
+
+  const addTotals = (node) => {
+    node.totalPostCount = node.children.reduce((total, child) => total + addTotals(child), node.postCount)
+    return node.totalPostCount
+  }
+  roots.forEach(addTotals)
+
+  return roots
+}
+
+// Check the parent picked for a category. A category can't be moved below itself or one of its
+// subcategories. Returns an error message, or null when the parent is valid.
+const validateParent = async (parentId, categoryId) => {
+  if (!mongoose.isValidObjectId(parentId) || !(await Category.exists({ _id: parentId }))) {
+    return "Parent category not found"
+  }
+
+  if (categoryId) {
+    const subtree = await Category.descendantIds(categoryId)
+    if (subtree.some((id) => id.equals(parentId))) {
+      return "A category cannot be moved below itself or one of its subcategories"
+    }
+  }
+
+  return null
+}
+
+// Published posts per category
+const countPublishedPosts = async () => {
+  const counts = await Post.aggregate([
+    { $match: { status: "Published", category: { $ne: null } } },
+    { $group: { _id: "$category", count: { $sum: 1 } } },
+  ])
+  return new Map(counts.map((entry) => [String(entry._id), entry.count]))
+}
+
+// @route   GET /api/categories
+// @desc    Get all categories as a tree with their number of published posts
+// @access  Public
+router.get("/", async (req, res) => {
+  try {
+    const [categories, counts, uncategorized] = await Promise.all([
+      Category.find().sort({ order: 1, name: 1 }).lean(),
+      countPublishedPosts(),
+      Post.countDocuments({ status: "Published", category: null }),
+    ])
+
+    res.json({
+      categories: buildTree(categories, counts),
+      uncategorized,
+    })
+  } catch (error) {
+    console.error("Get categories error:", error)
+    res.status(500).json({ message: "Server error fetching categories" })
+  }
+})
+
+// @route   GET /api/categories/:idOrSlug
+// @desc    Get a category with the path to it and its subcategories
+// @access  Public
+router.get("/:idOrSlug", async (req, res) => {
+  try {
+    const category = await Category.findByIdOrSlug(req.params.idOrSlug).lean()
+
+    if (!category) {
+      return res.status(404).json({ message: "Category not found" })
+    }
+
+    // Walk up to the top level for breadcrumbs
+    const path = []
+    const seen = new Set([String(category._id)])
+    let parentId = category.parent
+    while (parentId && !seen.has(String(parentId))) {
+      seen.add(String(parentId))
+      const parent = await Category.findById(parentId).select("name slug parent").lean()
+      if (!parent) break
+      path.unshift({ _id: parent._id, name: parent.name, slug: parent.slug })
+      parentId = parent.parent
+    }
+
+    const [children, totalPostCount] = await Promise.all([
+      Category.find({ parent: category._id }).select("name slug description order").sort({ order: 1, name: 1 }).lean(),
+      Category.descendantIds(category._id).then((ids) =>
+        Post.countDocuments({ status: "Published", category: { $in: ids } }),
+      ),
+    ])
+
+    res.json({
+      ...category,
+      path,
+      children,
+      totalPostCount,
+    })
+  } catch (error) {
+    console.error("Get category error:", error)
+    res.status(500).json({ message: "Server error fetching category" })
+  }
+})
+
+// @route   POST /api/categories
+// @desc    Create a category (Admin only)
+// @access  Private/Admin
+router.post("/", auth, authorize("category:manage"), async (req, res) => {
+  try {
+    const { name, slug, description, parent, order } = req.body
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ message: "Name is required" })
+    }
+
+    if (slug !== undefined && !slugify(slug)) {
+      return res.status(400).json({ message: "Slug must contain at least one letter or number" })
+    }
+
+    if (await Category.findByName(name)) {
+      return res.status(400).json({ message: "A category with this name already exists" })
+    }
+
+    if (parent) {
+      const parentError = await validateParent(parent)
+      if (parentError) {
+        return res.status(400).json({ message: parentError })
+      }
+    }
+
+    const category = await Category.create({
+      name,
+      slug: slug || undefined,
+      description: description || "",
+      parent: parent || null,
+      order: Number.parseInt(order) || 0,
+    })
+
+    res.status(201).json({
+      message: "Category created successfully",
+      category,
+    })
+  } catch (error) {
+    console.error("Create category error:", error)
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({ message: errors.join(", ") })
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({ message: "A category with this name already exists" })
+    }
+
+    res.status(500).json({ message: "Server error creating category" })
+  }
+})
+
+// @route   PUT /api/categories/:id
+// @desc    Update a category, move it to another parent or change its position (Admin only)
+// @access  Private/Admin
+router.put("/:id", auth, authorize("category:manage"), async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id)
+
+    if (!category) {
+      return res.status(404).json({ message: "Category not found" })
+    }
+
+    const { name, slug, description, parent, order } = req.body
+
+    if (slug !== undefined && !slugify(slug)) {
+      return res.status(400).json({ message: "Slug must contain at least one letter or number" })
+    }
+
+    if (name !== undefined) {
+      const existing = await Category.findByName(name)
+      if (existing && !existing._id.equals(category._id)) {
+        return res.status(400).json({ message: "A category with this name already exists" })
+      }
+      category.name = name
+    }
+
+    // null moves the category to the top level
+    if (parent) {
+      const parentError = await validateParent(parent, category._id)
+      if (parentError) {
+        return res.status(400).json({ message: parentError })
+      }
+      category.parent = parent
+    } else if (parent === null) {
+      category.parent = null
+    }
+
+    if (slug !== undefined) category.slug = slug
+    if (description !== undefined) category.description = description
+    if (order !== undefined) category.order = Number.parseInt(order) || 0
+
+    await category.save()
+
+    res.json({
+      message: "Category updated successfully",
+      category,
+    })
+  } catch (error) {
+    console.error("Update category error:", error)
+
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "Category not found" })
+    }
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({ message: errors.join(", ") })
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({ message: "A category with this name already exists" })
+    }
+
+    res.status(500).json({ message: "Server error updating category" })
+  }
+})
+
+// @route   DELETE /api/categories/:id?reassignTo=
+// @desc    Delete a category (Admin only). Its posts move to `reassignTo` (ID or slug) or become uncategorized,
+//          its subcategories move up to its parent.
+// @access  Private/Admin
+router.delete("/:id", auth, authorize("category:manage"), async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id)
+
+    if (!category) {
+      return res.status(404).json({ message: "Category not found" })
+    }
+
+    let target = null
+    if (req.query.reassignTo) {
+      target = await Category.findByIdOrSlug(req.query.reassignTo).select("_id").lean()
+      if (!target || target._id.equals(category._id)) {
+        return res.status(400).json({ message: "Category to move the posts to not found" })
+      }
+    }
+
+    const moved = await Post.updateMany({ category: category._id }, [
+      target ? { $set: { category: target._id } } : { $unset: "category" },
+      { $set: { version: Post.NEXT_VERSION } },
+    ])
+    await Category.updateMany({ parent: category._id }, { parent: category.parent })
+    await Category.findByIdAndDelete(category._id)
+
+    res.json({
+      message: "Category deleted successfully",
+      postsMoved: moved.modifiedCount,
+    })
+  } catch (error) {
+    console.error("Delete category error:", error)
+
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "Category not found" })
+    }
+
+    res.status(500).json({ message: "Server error deleting category" })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,303 @@
+const express = require("express")
+const Post = require("../models/Post")
+const User = require("../models/User")
+const PostInvitation = require("../models/PostInvitation")
+const Series = require("../models/Series")
+const { auth, requireScope } = require("../middleware/auth")
+const { can } = require("../utils/permissions")
+const { sendCollaborationInviteEmail } = require("../utils/emails")
+
+// Collaborators of a post, mounted next to the post routes under /api/posts
+const router = express.Router()
+
+const COLLABORATOR_ROLES = ["editor", "viewer"]
+
+// @route   GET /api/posts/:id/collaborators
+// @desc    Get the owner, collaborators and pending invitations of a post
+// @access  Private
+router.get("/:id/collaborators", auth, requireScope("read"), async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id)
+      .select("author collaborators status review")
+      .populate("author", "name email avatar")
+      .populate("collaborators.user", "name email avatar")
+
+    if (!post || !can(req.user, "post:read-draft", post)) {
+      return res.status(404).json({ message: "Post not found" })
+    }
+
+    // Only whoever manages the collaborators sees who else was invited
+    const invitations = can(req.user, "post:manage-collaborators", post)
+      ? await PostInvitation.find({ post: post._id, status: "pending", expiresAt: { $gt: new Date() } })
+          .populate("invitee", "name email avatar")
+          .sort({ createdAt: -1 })
+          .lean()
+      : []
+
+    res.json({
+      owner: post.author,
+      collaborators: post.collaborators,
+      invitations,
+    })
+  } catch (error) {
+    console.error("Get collaborators error:", error)
+
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "Post not found" })
+    }
+
+    res.status(500).json({ message: "Server error fetching collaborators" })
+  }
+})
+
+// @route   POST /api/posts/:id/collaborators/invitations
+// @desc    Invite a user to collaborate on a post
+// @access  Private
+router.post("/:id/collaborators/invitations", auth, requireScope("posts:write"), async (req, res) => {
+  try {
+    const { email, role = "editor" } = req.body
+
+    if (!email) {
+      return res.status(400).json({ message: "Please provide the email of the user to invite" })
+    }
+
+    if (!COLLABORATOR_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Invalid role. Must be one of: ${COLLABORATOR_ROLES.join(", ")}` })
+    }
+
+    const post = await Post.findById(req.params.id)
+
+    if (!post) {
+      return res.status(404).json({ message: "Post not found" })
+    }
+
+    if (!can(req.user, "post:manage-collaborators", post)) {
+      return res.status(403).json({ message: "Access denied" })
+    }
+
+    const invitee = await User.findOne({ email: email.toLowerCase().trim() })
+    if (!invitee || !invitee.isActive) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    if (invitee._id.equals(post.author)) {
+      return res.status(400).json({ message: "The owner of the post cannot be invited" })
+    }
+
+    if (post.collaborators.some((collaborator) => collaborator.user.equals(invitee._id))) {
+      return res.status(400).json({ message: "User is already a collaborator on this post" })
+    }
+
+    // Inviting again replaces the earlier invitation
+    await PostInvitation.updateMany(
+      { post: post._id, invitee: invitee._id, status: "pending" },
+      { status: "revoked", respondedAt: new Date() },
+    )
+
+    const invitation = await PostInvitation.create({
+      post: post._id,
+      invitedBy: req.user._id,
+      invitee: invitee._id,
+      role,
+    })
+
+    try {
+      await sendCollaborationInviteEmail(invitee, req.user, post, role)
+    } catch (mailError) {
+      // The invitation is still listed under /api/user/invitations
+      console.error("Collaboration invite email error:", mailError)
+    }
+
+    res.status(201).json({
+      message: "Invitation sent successfully",
+      invitation,
+    })
+  } catch (error) {
+    console.error("Invite collaborator error:", error)
+
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "Post not found" })
+    }
+
+    res.status(500).json({ message: "Server error inviting collaborator" })
+  }
+})
+
+// @route   DELETE /api/posts/:id/collaborators/invitations/:invitationId
+// @desc    Revoke a pending invitation
+// @access  Private
+router.delete("/:id/collaborators/invitations/:invitationId", auth, requireScope("posts:write"), async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id)
+
+    if (!post) {
+      return res.status(404).json({ message: "Post not found" })
+    }
+
+    if (!can(req.user, "post:manage-collaborators", post)) {
+      return res.status(403).json({ message: "Access denied" })
+    }
+
+    const invitation = await PostInvitation.findOneAndUpdate(
+      { _id: req.params.invitationId, post: post._id, status: "pending" },
+      { status: "revoked", respondedAt: new Date() },
+      { new: true },
+    )
+
+    if (!invitation) {
+      return res.status(404).json({ message: "Invitation not found" })
+    }
+
+    res.json({ message: "Invitation revoked successfully" })
+  } catch (error) {
+    console.error("Revoke invitation error:", error)
+
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "Invitation not found" })
+    }
+
+    res.status(500).json({ message: "Server error revoking invitation" })
+  }
+})
+
+// @route   PUT /api/posts/:id/collaborators/:userId
+// @desc    Change the role of a collaborator
+// @access  Private
+router.put("/:id/collaborators/:userId", auth, requireScope("posts:write"), async (req, res) => {
+  try {
+    const { role } = req.body
+
+    if (!COLLABORATOR_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Invalid role. Must be one of: ${COLLABORATOR_ROLES.join(", ")}` })
+    }
+
+    const post = await Post.findById(req.params.id)
+
+    if (!post) {
+      return res.status(404).json({ message: "Post not found" })
+    }
+
+    if (!can(req.user, "post:manage-collaborators", post)) {
+      return res.status(403).json({ message: "Access denied" })
+    }
+
+    const collaborator = post.collaborators.find((entry) => entry.user.toString() === req.params.userId)
+    if (!collaborator) {
+      return res.status(404).json({ message: "Collaborator not found" })
+    }
+
+    collaborator.role = role
+    await post.save()
+
+    res.json({
+      message: `Collaborator role updated to ${role} successfully`,
+      collaborators: post.collaborators,
+    })
+  } catch (error) {
+    console.error("Update collaborator error:", error)
+
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "Post not found" })
+    }
+
+    res.status(500).json({ message: "Server error updating collaborator" })
+  }
+})
+
+// @route   DELETE /api/posts/:id/collaborators/:userId
+// @desc    Remove a collaborator (collaborators can also remove themselves)
+// @access  Private
+router.delete("/:id/collaborators/:userId", auth, requireScope("posts:write"), async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id)
+
+    if (!post) {
+      return res.status(404).json({ message: "Post not found" })
+    }
+
+    const leaving = req.params.userId === req.user.id
+    if (!leaving && !can(req.user, "post:manage-collaborators", post)) {
+      return res.status(403).json({ message: "Access denied" })
+    }
+
+    const collaborator = post.collaborators.find((entry) => entry.user.toString() === req.params.userId)
+    if (!collaborator) {
+      return res.status(404).json({ message: "Collaborator not found" })
+    }
+
+    post.collaborators.pull(collaborator._id)
+    await post.save()
+
+    res.json({ message: leaving ? "You left the post" : "Collaborator removed successfully" })
+  } catch (error) {
+    console.error("Remove collaborator error:", error)
+
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "Post not found" })
+    }
+
+    res.status(500).json({ message: "Server error removing collaborator" })
+  }
+})
+
+// @route   POST /api/posts/:id/transfer
+// @desc    Transfer ownership of a post to one of its co-authors
+// @access  Private
+router.post("/:id/transfer", auth, requireScope("posts:write"), async (req, res) => {
+  try {
+    const { userId } = req.body
+
+    const post = await Post.findById(req.params.id)
+
+    if (!post) {
+      return res.status(404).json({ message: "Post not found" })
+    }
+
+    if (!can(req.user, "post:manage-collaborators", post)) {
+      return res.status(403).json({ message: "Access denied" })
+    }
+
+    // Only someone who accepted an invitation can be handed a post
+    const collaborator = post.collaborators.find((entry) => entry.user.toString() === String(userId))
+    if (!collaborator) {
+      return res.status(400).json({ message: "The new owner must be a collaborator on this post" })
+    }
+
+    const newOwner = await User.findById(userId).select("role isActive")
+    if (!newOwner || !newOwner.isActive || !can(newOwner, "post:create")) {
+      return res.status(400).json({ message: "The new owner must be an active user who can write posts" })
+    }
+
+    // The previous owner stays on as a co-author
+    const previousOwner = post.author
+    post.collaborators.pull(collaborator._id)
+    post.collaborators.push({ user: previousOwner, role: "editor" })
+    post.author = newOwner._id
+
+    if (!(await post.claimVersion())) {
+      return res.status(409).json({
+        message: "This post was changed by someone else. Reload it and try again.",
+        code: "VERSION_CONFLICT",
+      })
+    }
+    await post.save()
+    // Series only hold their author's posts
+    await Series.updateMany({ posts: post._id }, { $pull: { posts: post._id } })
+    await post.populate("author", "name email avatar")
+
+    res.json({
+      message: "Ownership transferred successfully",
+      post,
+    })
+  } catch (error) {
+    console.error("Transfer post error:", error)
+
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "Post not found" })
+    }
+
+    res.status(500).json({ message: "Server error transferring post" })
+  }
+})
+
+module.exports = router
@@ -1,7 +1,9 @@
 const express = require("express")
 const Comment = require("../models/Comment")
 const Post = require("../models/Post")
-const { auth } = require("../middleware/auth")
+const { auth, authorize, requireScope, mustVerifyEmail } = require("../middleware/auth")
+const { can } = require("../utils/permissions")
+const { paginate } = require("../utils/pagination")
 
 const router = express.Router()
 
@@ -11,9 +13,6 @@ const router = express.Router()
 router.get("/:postId", async (req, res) => {
   try {
     const { postId } = req.params
-    const page = Number.parseInt(req.query.page) || 1
-    const limit = Number.parseInt(req.query.limit) || 20
-    const skip = (page - 1) * limit
 
     // Check if post exists
     const post = await Post.findById(postId)
@@ -21,40 +20,38 @@ router.get("/:postId", async (req, res) => {
       return res.status(404).json({ message: "Post not found" })
     }
 
-    const comments = await Comment.find({
-      post: postId,
+    const query = {
+      post: post._id,
       isDeleted: false,
       parentComment: null, // Only get top-level comments
-    })
-      .populate("userId", "name email avatar")
-      .populate({
-        path: "replies",
-        populate: {
-          path: "userId",
-          select: "name email avatar",
-        },
-        match: { isDeleted: false },
-      })
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .lean()
+    }
 
-    const total = await Comment.countDocuments({
-      post: postId,
-      isDeleted: false,
-      parentComment: null,
+    const { items, pagination, error } = await paginate(Comment, query, {
+      params: req.query,
+      sort: { createdAt: -1 },
+      defaultLimit: 20,
+      totalKey: "totalComments",
+      prepare: (find) =>
+        find
+          .populate("userId", "name email avatar")
+          .populate({
+            path: "replies",
+            populate: {
+              path: "userId",
+              select: "name email avatar",
+            },
+            match: { isDeleted: false },
+          })
+          .lean(),
     })
 
+    if (error) {
+      return res.status(400).json({ message: error })
+    }
+
     res.json({
-      comments,
-      pagination: {
-        currentPage: page,
-        totalPages: Math.ceil(total / limit),
-        totalComments: total,
-        hasNext: page < Math.ceil(total / limit),
-        hasPrev: page > 1,
-      },
+      comments: items,
+      pagination,
     })
   } catch (error) {
     console.error("Get comments error:", error)
@@ -70,11 +67,15 @@ router.get("/:postId", async (req, res) => {
 // @route   POST /api/comments/:postId
 // @desc    Add a comment to a post
 // @access  Private
-router.post("/:postId", auth, async (req, res) => {
+router.post("/:postId", auth, requireScope("comments:write"), authorize("comment:create"), async (req, res) => {
   try {
     const { postId } = req.params
     const { comment, parentComment } = req.body
 
+    if (mustVerifyEmail(req.user)) {
+      return res.status(403).json({ message: "Please verify your email address first", code: "EMAIL_NOT_VERIFIED" })
+    }
+
     if (!comment || comment.trim().length === 0) {
       return res.status(400).json({ message: "Comment content is required" })
     }
@@ -134,7 +135,7 @@ router.post("/:postId", auth, async (req, res) => {
 // @route   PUT /api/comments/:commentId
 // @desc    Update a comment
 // @access  Private
-router.put("/:commentId", auth, async (req, res) => {
+router.put("/:commentId", auth, requireScope("comments:write"), async (req, res) => {
   try {
     const { commentId } = req.params
     const { comment } = req.body
@@ -153,8 +154,7 @@ router.put("/:commentId", auth, async (req, res) => {
       return res.status(400).json({ message: "Cannot edit deleted comment" })
     }
 
-    // Check if user owns the comment
-    if (existingComment.userId.toString() !== req.user.id) {
+    if (!can(req.user, "comment:update", existingComment)) {
       return res.status(403).json({ message: "Access denied" })
     }
 
@@ -185,7 +185,7 @@ router.put("/:commentId", auth, async (req, res) => {
 // @route   DELETE /api/comments/:commentId
 // @desc    Delete a comment
 // @access  Private
-router.delete("/:commentId", auth, async (req, res) => {
+router.delete("/:commentId", auth, requireScope("comments:write"), async (req, res) => {
   try {
     const { commentId } = req.params
 
@@ -195,8 +195,7 @@ router.delete("/:commentId", auth, async (req, res) => {
       return res.status(404).json({ message: "Comment not found" })
     }
 
-    // Check if user owns the comment or is admin
-    if (comment.userId.toString() !== req.user.id && req.user.role !== "admin") {
+    if (!can(req.user, "comment:delete", comment)) {
       return res.status(403).json({ message: "Access denied" })
     }
 
@@ -221,7 +220,7 @@ router.delete("/:commentId", auth, async (req, res) => {
 // @route   POST /api/comments/:commentId/like
 // @desc    Like/Unlike a comment
 // @access  Private
-router.post("/:commentId/like", auth, async (req, res) => {
+router.post("/:commentId/like", auth, requireScope("comments:write"), authorize("comment:like"), async (req, res) => {
   try {
     const { commentId } = req.params
 
@@ -269,32 +268,25 @@ router.post("/:commentId/like", auth, async (req, res) => {
 router.get("/user/:userId", async (req, res) => {
   try {
     const { userId } = req.params
-    const page = Number.parseInt(req.query.page) || 1
-    const limit = Number.parseInt(req.query.limit) || 10
-    const skip = (page - 1) * limit
 
-    const comments = await Comment.find({
-      userId,
-      isDeleted: false,
-    })
-      .populate("post", "title slug")
-      .populate("userId", "name email avatar")
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .lean()
+    const { items, pagination, error } = await paginate(
+      Comment,
+      { userId, isDeleted: false },
+      {
+        params: req.query,
+        sort: { createdAt: -1 },
+        totalKey: "totalComments",
+        prepare: (find) => find.populate("post", "title slug").populate("userId", "name email avatar").lean(),
+      },
+    )
 
-    const total = await Comment.countDocuments({ userId, isDeleted: false })
+    if (error) {
+      return res.status(400).json({ message: error })
+    }
 
     res.json({
-      comments,
-      pagination: {
-        currentPage: page,
-        totalPages: Math.ceil(total / limit),
-        totalComments: total,
-        hasNext: page < Math.ceil(total / limit),
-        hasPrev: page > 1,
-      },
+      comments: items,
+      pagination,
     })
   } catch (error) {
     console.error("Get user comments error:", error)
@@ -0,0 +1,360 @@
+const express = require("express")
+const User = require("../models/User")
+const OAuthState = require("../models/OAuthState")
+const AuditLog = require("../models/AuditLog")
+const { auth, rejectApiTokens, denyImpersonation } = require("../middleware/auth")
+const { generateRandomToken, hashToken, generateConnectTicket, verifyConnectTicket } = require("../utils/tokens")
+const { twoFactorChallenge, passwordResetRequired, createLoginSession } = require("../utils/login")
+const { sendVerificationEmail } = require("../utils/emails")
+const {
+  oauthError,
+  apiBaseUrl,
+  getProvider,
+  listProviders,
+  resolveEndpoints,
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeCode,
+  fetchProfile,
+} = require("../utils/oauth")
+
+const router = express.Router()
+
+// Account management is only available to logged-in sessions
+router.use(rejectApiTokens)
+
+const STATE_EXPIRE_MINUTES = 10
+const STATE_COOKIE = "oauth_state"
+
+const readCookie = (req, name) => {
+  const pair = (req.headers.cookie || "")
+    .split(";")
+    .map((part) => part.trim())
+    .find((part) => part.startsWith(`${name}=`))
+  return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null
+}
+
+// Store a pending authorization request and return the provider URL to send the browser to.
+// The state is also put in a cookie, so only the browser that started the flow can finish it
+// (a callback URL handed to someone else must not log them into another account).
+const startAuthorization = async (req, res, provider, mode, userId) => {
+  const resolved = await resolveEndpoints(provider)
+  const state = generateRandomToken()
+  const nonce = generateRandomToken(16)
+  const { codeVerifier, codeChallenge } = createPkcePair()
+
+  await OAuthState.create({
+    stateHash: hashToken(state),
+    provider: provider.name,
+    codeVerifier,
+    nonce,
+    mode,
+    user: userId,
+    expiresAt: new Date(Date.now() + STATE_EXPIRE_MINUTES * 60 * 1000),
+  })
+
+  res.cookie(STATE_COOKIE, state, {
+    httpOnly: true,
+    secure: req.secure,
+    sameSite: "lax",
+    path: req.baseUrl,
+    maxAge: STATE_EXPIRE_MINUTES * 60 * 1000,
+  })
+
+  return buildAuthorizationUrl(resolved, { state, nonce, codeChallenge })
+}
+
+// Hand the callback result to the frontend. With OAUTH_SUCCESS_REDIRECT set the browser is sent
+// there with the result in the URL fragment (never sent to servers); otherwise it is returned as JSON.
+const sendCallbackResult = (res, status, body) => {
+  const redirect = process.env.OAUTH_SUCCESS_REDIRECT
+  if (!redirect) {
+    return res.status(status).json(body)
+  }
+
+  const params = new URLSearchParams()
+  for (const [key, value] of Object.entries(body)) {
+    if (value !== undefined && value !== null && typeof value !== "object") {
+      params.set(key, String(value))
+    }
+  }
+  res.redirect(`${redirect}#${params.toString()}`)
+}
+
+const findByIdentity = (provider, subject) => User.findOne({ identities: { $elemMatch: { provider, subject } } })
+
+// Find the user for an external profile: an already linked user, an existing user with the same
+// verified email (which gets linked if they verified it too), or a new user without a local password.
+const findOrCreateUser = async (provider, profile, req) => {
+  const linkedUser = await findByIdentity(provider, profile.subject)
+  if (linkedUser) return { user: linkedUser, created: false }
+
+  if (!profile.email) {
+    throw oauthError("The provider did not share an email address")
+  }
+
+  const email = profile.email.toLowerCase().trim()
+  if (User.isReservedEmail(email)) {
+    throw oauthError("This email address cannot be used")
+  }
+
+  const identity = { provider, subject: profile.subject, email }
+  const existingUser = await User.findOne({ email })
+
+  if (existingUser) {
+    // Linking on an unverified email would let anyone take over the account
+    if (!profile.emailVerified) {
+      throw oauthError(
+        "An account with this email already exists. Log in and connect the provider from your account settings.",
+      )
+    }
+
+    // Nor may an account whose owner never proved the address: whoever registered it could still log in
+    // with their password once the real owner signs in with the provider
+    if (!existingUser.emailVerified) {
+      throw oauthError(
+        "An account with this email already exists but its email address is not verified. Log in (or reset your password) and connect the provider from your account settings.",
+      )
+    }
+
+    existingUser.identities.push(identity)
+    await existingUser.save()
+    await AuditLog.record(req, "oauth.linked", { targetUser: existingUser._id, email, details: { provider } })
+
+    return { user: existingUser, created: false }
+  }
+
+  const user = new User({
+    name: (profile.name || email.split("@")[0]).substring(0, 50),
+    email,
+    avatar: profile.avatar || "",
+    emailVerified: profile.emailVerified,
+    emailVerifiedAt: profile.emailVerified ? new Date() : undefined,
+    identities: [identity],
+  })
+
+  const verification = !profile.emailVerified && user.createEmailVerificationToken()
+  await user.save()
+
+  if (verification) {
+    try {
+      await sendVerificationEmail(user, verification.token, verification.expiresInHours)
+    } catch (mailError) {
+      console.error("Verification email error:", mailError)
+    }
+  }
+
+  return { user, created: true }
+}
+
+// Attach an external identity to the user who started a "link" request
+const linkIdentity = async (userId, provider, profile, req) => {
+  const user = await User.findById(userId)
+  if (!user || !user.isActive) {
+    throw oauthError("User not found")
+  }
+
+  const owner = await findByIdentity(provider, profile.subject)
+  if (owner && !owner._id.equals(user._id)) {
+    throw oauthError("This external account is already connected to another user")
+  }
+
+  if (!owner) {
+    if (user.identities.some((identity) => identity.provider === provider)) {
+      throw oauthError("Another account of this provider is already connected. Disconnect it first.")
+    }
+
+    user.identities.push({ provider, subject: profile.subject, email: profile.email })
+    await user.save()
+    await AuditLog.record(req, "oauth.linked", { targetUser: user._id, email: user.email, details: { provider } })
+  }
+
+  return user
+}
+
+// @route   GET /api/auth/oauth/providers
+// @desc    List the enabled external sign-in providers
+// @access  Public
+router.get("/providers", (req, res) => {
+  res.json({ providers: listProviders() })
+})
+
+// @route   GET /api/auth/oauth/identities
+// @desc    List the external accounts connected to the current user
+// @access  Private
+router.get("/identities", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id)
+
+    res.json({
+      hasPassword: Boolean(user.password),
+      identities: user.identities.map(({ provider, email, linkedAt }) => ({ provider, email, linkedAt })),
+    })
+  } catch (error) {
+    console.error("Get identities error:", error)
+    res.status(500).json({ message: "Server error fetching connected accounts" })
+  }
+})
+
+// @route   GET /api/auth/oauth/:provider/start
+// @desc    Redirect to the provider to sign in
+// @access  Public
+router.get("/:provider/start", async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider)
+    if (!provider) {
+      return res.status(404).json({ message: "Unknown sign-in provider" })
+    }
+
+    res.redirect(await startAuthorization(req, res, provider, "login"))
+  } catch (error) {
+    console.error("OAuth start error:", error)
+    res.status(502).json({ message: "Could not reach the sign-in provider" })
+  }
+})
+
+// @route   POST /api/auth/oauth/:provider/connect
+// @desc    Get the URL to connect an external account to the current user. The browser has to open it
+//          (not fetch it), so the state cookie is set for this API's site. The URL is valid for a minute.
+// @access  Private
+router.post("/:provider/connect", auth, denyImpersonation, async (req, res) => {
+  const provider = getProvider(req.params.provider)
+  if (!provider) {
+    return res.status(404).json({ message: "Unknown sign-in provider" })
+  }
+
+  const ticket = generateConnectTicket(req.user._id, provider.name)
+  res.json({ connectUrl: `${apiBaseUrl()}/api/auth/oauth/${provider.name}/connect?ticket=${ticket}` })
+})
+
+// @route   GET /api/auth/oauth/:provider/connect
+// @desc    Redirect to the provider to connect an external account (opened from the URL above)
+// @access  Public (the ticket identifies the user)
+router.get("/:provider/connect", async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider)
+    if (!provider) {
+      return res.status(404).json({ message: "Unknown sign-in provider" })
+    }
+
+    const userId = verifyConnectTicket(String(req.query.ticket || ""), provider.name)
+    if (!userId) {
+      return sendCallbackResult(res, 400, { error: "This link has expired. Please try connecting again." })
+    }
+
+    res.redirect(await startAuthorization(req, res, provider, "link", userId))
+  } catch (error) {
+    console.error("OAuth connect error:", error)
+    res.status(502).json({ message: "Could not reach the sign-in provider" })
+  }
+})
+
+// @route   GET /api/auth/oauth/:provider/callback
+// @desc    Finish signing in (or connecting an account) after the provider redirects back
+// @access  Public
+router.get("/:provider/callback", async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider)
+    if (!provider) {
+      return res.status(404).json({ message: "Unknown sign-in provider" })
+    }
+
+    const { code, state, error } = req.query
+    if (error) {
+      return sendCallbackResult(res, 400, { error: req.query.error_description || error })
+    }
+    if (!code || !state) {
+      return sendCallbackResult(res, 400, { error: "Missing authorization code or state" })
+    }
+    if (readCookie(req, STATE_COOKIE) !== String(state)) {
+      return sendCallbackResult(res, 400, { error: "Sign-in was not started in this browser. Please try again." })
+    }
+    res.clearCookie(STATE_COOKIE, { path: req.baseUrl })
+
+    // Each state can be used once
+    const pending = await OAuthState.findOneAndDelete({
+      stateHash: hashToken(String(state)),
+      provider: provider.name,
+      expiresAt: { $gt: new Date() },
+    })
+    if (!pending) {
+      return sendCallbackResult(res, 400, { error: "Sign-in request is invalid or has expired. Please try again." })
+    }
+
+    const resolved = await resolveEndpoints(provider)
+    const tokens = await exchangeCode(resolved, String(code), pending.codeVerifier)
+    if (tokens.error || !tokens.access_token) {
+      throw oauthError(tokens.error_description || "Could not exchange the authorization code")
+    }
+
+    const profile = await fetchProfile(resolved, tokens, pending.nonce)
+
+    if (pending.mode === "link") {
+      await linkIdentity(pending.user, provider.name, profile, req)
+      return sendCallbackResult(res, 200, { message: `${provider.displayName} account connected`, provider: provider.name })
+    }
+
+    const { user, created } = await findOrCreateUser(provider.name, profile, req)
+    if (!user.isActive) {
+      return sendCallbackResult(res, 403, { error: "Account is deactivated. Please contact support." })
+    }
+
+    await AuditLog.record(req, "login.oauth", {
+      targetUser: user._id,
+      email: user.email,
+      details: { provider: provider.name, created },
+    })
+
+    const resetRequired = passwordResetRequired(user)
+    if (resetRequired) {
+      return sendCallbackResult(res, 403, { error: resetRequired.message, code: resetRequired.code })
+    }
+
+    if (user.twoFactor?.enabled) {
+      return sendCallbackResult(res, 200, twoFactorChallenge(user))
+    }
+
+    const body = await createLoginSession(user, req)
+    sendCallbackResult(res, created ? 201 : 200, { ...body, newUser: created })
+  } catch (error) {
+    if (["OAuthError", "JsonWebTokenError", "TokenExpiredError", "ValidationError"].includes(error.name)) {
+      return sendCallbackResult(res, 400, { error: error.message })
+    }
+
+    console.error("OAuth callback error:", error)
+    sendCallbackResult(res, 500, { error: "Server error during external sign-in" })
+  }
+})
+
+// @route   DELETE /api/auth/oauth/:provider
+// @desc    Disconnect an external account from the current user
+// @access  Private
+router.delete("/:provider", auth, denyImpersonation, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id)
+    const identity = user.identities.find((item) => item.provider === req.params.provider)
+
+    if (!identity) {
+      return res.status(404).json({ message: "No connected account for this provider" })
+    }
+
+    if (!user.password && user.identities.length === 1) {
+      return res.status(400).json({ message: "Set a password before disconnecting your only sign-in method" })
+    }
+
+    user.identities.pull(identity._id)
+    await user.save()
+    await AuditLog.record(req, "oauth.unlinked", {
+      targetUser: user._id,
+      email: user.email,
+      details: { provider: identity.provider },
+    })
+
+    res.json({ message: "Account disconnected successfully" })
+  } catch (error) {
+    console.error("OAuth disconnect error:", error)
+    res.status(500).json({ message: "Server error disconnecting account" })
+  }
+})
+
+module.exports = router
@@ -1,19 +1,139 @@
 const express = require("express")
 const Post = require("../models/Post")
-const Comment = require("../models/Comment")
-const { auth, optionalAuth } = require("../middleware/auth")
+const PostRevision = require("../models/PostRevision")
+const Series = require("../models/Series")
+const PostAutosave = require("../models/PostAutosave")
+const Category = require("../models/Category")
+const { auth, optionalAuth, authorize, requireScope, mustVerifyEmail } = require("../middleware/auth")
+const { can } = require("../utils/permissions")
+const { diffRevisions } = require("../utils/diff")
+const { slugify } = require("../utils/slugify")
+const { isReviewRequired } = require("../utils/editorialPolicy")
+const { deletePosts } = require("../utils/postCleanup")
+const { paginate } = require("../utils/pagination")
 
 const router = express.Router()
 
+// Published and Scheduled posts are (about to be) public, so both need the publish permission
+const isLive = (status) => status === "Published" || status === "Scheduled"
+
+// Whether a live or scheduled post is about to be saved with text nobody reviewed
+const changesReviewedText = (post) =>
+  isLive(post.status) && Post.REVIEWED_FIELDS.some((field) => post.isModified(field))
+
+// Check the scheduling fields of a request against the post's current values.
+// Returns an error message, or null when the schedule is valid.
+const validateSchedule = (body, post = {}) => {
+  const status = body.status || post.status
+  const publishAt = body.publishAt !== undefined ? body.publishAt : post.publishAt
+  const unpublishAt = body.unpublishAt !== undefined ? body.unpublishAt : post.unpublishAt
+  const now = Date.now()
+
+  // A post that is already scheduled keeps its time unless a new one is sent
+  if (status === "Scheduled" && (body.publishAt !== undefined || post.status !== "Scheduled")) {
+    if (!publishAt || Number.isNaN(new Date(publishAt).getTime())) {
+      return "Please provide a valid publish time for scheduled posts"
+    }
+    if (new Date(publishAt) <= now) {
+      return "Publish time must be in the future"
+    }
+  }
+
+  if (body.unpublishAt) {
+    if (!isLive(status)) {
+      return "Only published or scheduled posts can be unpublished on a schedule"
+    }
+    if (Number.isNaN(new Date(unpublishAt).getTime()) || new Date(unpublishAt) <= now) {
+      return "Unpublish time must be a valid time in the future"
+    }
+    if (status === "Scheduled" && new Date(unpublishAt) <= new Date(publishAt)) {
+      return "Unpublish time must be after the publish time"
+    }
+  }
+
+  if (body.unpublishStatus !== undefined && !["Draft", "Archived"].includes(body.unpublishStatus)) {
+    return "unpublishStatus must be Draft or Archived"
+  }
+
+  return null
+}
+
+const REVIEW_REQUIRED_MESSAGE = "Posts must be approved by a reviewer before they are published"
+const REVIEW_CHANGES_MESSAGE =
+  "Changes to a published or scheduled post must be approved by a reviewer. Move it back to Draft and submit it for review."
+
+const etagFor = (post) => `"${post.version}"`
+
+// The version an edit was based on: an If-Match header (412 when stale) or a `version` field (409 when stale).
+// Returns null when the client sent neither, in which case the edit is applied to the latest version.
+const versionPrecondition = (req) => {
+  const ifMatch = req.get("If-Match")
+  if (ifMatch) {
+    const tags = ifMatch.split(",").map((tag) => tag.trim().replace(/^W\//, ""))
+    return { status: 412, matches: (post) => tags.includes("*") || tags.includes(etagFor(post)) }
+  }
+
+  if (req.body.version !== undefined) {
+    return { status: 409, matches: (post) => Number(req.body.version) === post.version }
+  }
+
+  return null
+}
+
+// Tell the client its copy is outdated and send the current version to merge with
+const sendVersionConflict = async (res, status, postId) => {
+  const current = await Post.findById(postId).populate("author", "name email avatar")
+
+  res.status(status).set("ETag", etagFor(current)).json({
+    message: "This post was changed by someone else. Reload it and apply your changes again.",
+    code: "VERSION_CONFLICT",
+    currentVersion: current.version,
+    post: current,
+  })
+}
+
+const AUTHOR_DETAILS = "name email avatar bio website twitter linkedin"
+const CATEGORY_DETAILS = "name slug parent"
+
+// Find the category a client picked by ID or slug. Empty values mean "uncategorized" (null);
+// returns undefined when there is no such category.
+const resolveCategory = async (value) => {
+  if (!value) return null
+  const category = await Category.findByIdOrSlug(value).select("_id").lean()
+  return category ? category._id : undefined
+}
+
+// Send a single post to its reader, counting the view and linking the posts around it in its series
+const sendPost = async (req, res, post) => {
+  // Increment view count (only for published posts and not the author)
+  if (post.status === "Published" && (!req.user || req.user.id !== post.author._id.toString())) {
+    post.views += 1
+    await post.save()
+  }
+
+  // Editors get the version to send back in If-Match
+  if (can(req.user, "post:update", post)) {
+    res.set("ETag", etagFor(post))
+  }
+
+  const canReadDrafts = can(req.user, "post:read-draft", post)
+  const series = await Series.navigationFor(post._id, { includeDrafts: canReadDrafts })
+  await post.populate("collaborators.user", "name avatar bio")
+
+  const body = post.toJSON()
+  // Readers only see the co-authors, not who was invited to review the draft
+  if (!canReadDrafts) {
+    body.collaborators = body.collaborators.filter((collaborator) => collaborator.role === "editor")
+  }
+
+  res.json({ ...body, series })
+}
+
 // @route   GET /api/posts
-// @desc    Get all published posts with pagination and filtering
+// @desc    Get all published posts with pagination (page or cursor) and filtering
 // @access  Public
 router.get("/", optionalAuth, async (req, res) => {
   try {
-    const page = Number.parseInt(req.query.page) || 1
-    const limit = Number.parseInt(req.query.limit) || 10
-    const skip = (page - 1) * limit
-
     const { search, category, tags, author, sort } = req.query
 
     // Build query
@@ -23,8 +143,10 @@ router.get("/", optionalAuth, async (req, res) => {
       query.$text = { $search: search }
     }
 
+    // A category also lists the posts of its subcategories
     if (category) {
-      query.category = new RegExp(category, "i")
+      const found = await Category.findByIdOrSlug(category).select("_id").lean()
+      query.category = { $in: found ? await Category.descendantIds(found._id) : [] }
     }
 
     if (tags) {
@@ -52,25 +174,21 @@ router.get("/", optionalAuth, async (req, res) => {
         sortQuery = { publishedAt: -1 }
     }
 
-    const posts = await Post.find(query)
-      .populate("author", "name email avatar bio")
-      .sort(sortQuery)
-      .skip(skip)
-      .limit(limit)
-      .lean()
+    // ?page= as before, or ?after= / ?before= with the cursors of the previous response
+    const { items, pagination, error } = await paginate(Post, query, {
+      params: req.query,
+      sort: sortQuery,
+      totalKey: "totalPosts",
+      prepare: (find) => find.populate("author", "name email avatar bio").populate("category", CATEGORY_DETAILS).lean(),
+    })
 
-    const total = await Post.countDocuments(query)
-    const totalPages = Math.ceil(total / limit)
+    if (error) {
+      return res.status(400).json({ message: error })
+    }
 
     res.json({
-      posts,
-      pagination: {
-        currentPage: page,
-        totalPages,
-        totalPosts: total,
-        hasNext: page < totalPages,
-        hasPrev: page > 1,
-      },
+      posts: items,
+      pagination,
     })
   } catch (error) {
     console.error("Get posts error:", error)
@@ -115,6 +233,7 @@ router.get("/featured", async (req, res) => {
       featured: true,
     })
       .populate("author", "name email avatar")
+      .populate("category", CATEGORY_DETAILS)
       .sort({ publishedAt: -1 })
       .limit(5)
       .lean()
@@ -126,31 +245,56 @@ router.get("/featured", async (req, res) => {
   }
 })
 
+// @route   GET /api/posts/slug/:slug
+// @desc    Get single post by slug (old slugs redirect to the current one)
+// @access  Public
+router.get("/slug/:slug", optionalAuth, async (req, res) => {
+  try {
+    const { slug } = req.params
+    let post = await Post.findOne({ slug }).populate("author", AUTHOR_DETAILS).populate("category", CATEGORY_DETAILS)
+    const renamed = !post
+    if (renamed) {
+      post = await Post.findOne({ slugHistory: slug }).select("slug status author collaborators review")
+    }
+
+    // Check if user can view this post
+    if (!post || (post.status !== "Published" && !can(req.user, "post:read-draft", post))) {
+      return res.status(404).json({ message: "Post not found" })
+    }
+
+    if (renamed) {
+      return res
+        .status(301)
+        .location(`${req.baseUrl}/slug/${encodeURIComponent(post.slug)}`)
+        .json({ message: "Post has moved", slug: post.slug })
+    }
+
+    await sendPost(req, res, post)
+  } catch (error) {
+    console.error("Get post by slug error:", error)
+    res.status(500).json({ message: "Server error fetching post" })
+  }
+})
+
 // @route   GET /api/posts/:id
 // @desc    Get single post by ID
 // @access  Public
 router.get("/:id", optionalAuth, async (req, res) => {
   try {
-    const post = await Post.findById(req.params.id).populate("author", "name email avatar bio website twitter linkedin")
+    const post = await Post.findById(req.params.id)
+      .populate("author", AUTHOR_DETAILS)
+      .populate("category", CATEGORY_DETAILS)
 
     if (!post) {
       return res.status(404).json({ message: "Post not found" })
     }
 
     // Check if user can view this post
-    if (post.status !== "Published") {
-      if (!req.user || (req.user.id !== post.author._id.toString() && req.user.role !== "admin")) {
-        return res.status(404).json({ message: "Post not found" })
-      }
-    }
-
-    // Increment view count (only for published posts and not the author)
-    if (post.status === "Published" && (!req.user || req.user.id !== post.author._id.toString())) {
-      post.views += 1
-      await post.save()
+    if (post.status !== "Published" && !can(req.user, "post:read-draft", post)) {
+      return res.status(404).json({ message: "Post not found" })
     }
 
-    res.json(post)
+    await sendPost(req, res, post)
   } catch (error) {
     console.error("Get post error:", error)
     if (error.name === "CastError") {
@@ -163,28 +307,66 @@ router.get("/:id", optionalAuth, async (req, res) => {
 // @route   POST /api/posts
 // @desc    Create a new post
 // @access  Private
-router.post("/", auth, async (req, res) => {
+router.post("/", auth, requireScope("posts:write"), authorize("post:create"), async (req, res) => {
   try {
-    const { title, content, tags, category, coverImage, status, seoTitle, seoDescription } = req.body
+    const { title, content, format, tags, category, coverImage, status, seoTitle, seoDescription } = req.body
+    const { publishAt, unpublishAt, unpublishStatus, slug } = req.body
 
     if (!title || !content) {
       return res.status(400).json({ message: "Title and content are required" })
     }
 
+    if (slug !== undefined && !slugify(slug)) {
+      return res.status(400).json({ message: "Slug must contain at least one letter or number" })
+    }
+
+    const scheduleError = validateSchedule(req.body)
+    if (scheduleError) {
+      return res.status(400).json({ message: scheduleError })
+    }
+
+    const categoryId = await resolveCategory(category)
+    if (categoryId === undefined) {
+      return res.status(400).json({ message: "Category not found" })
+    }
+
+    if (isLive(status)) {
+      if (!can(req.user, "post:publish", { author: req.user._id })) {
+        return res.status(403).json({ message: "You don't have permission to publish posts" })
+      }
+
+      if (mustVerifyEmail(req.user)) {
+        return res
+          .status(403)
+          .json({ message: "Please verify your email address before publishing", code: "EMAIL_NOT_VERIFIED" })
+      }
+
+      if (await isReviewRequired()) {
+        return res.status(403).json({ message: REVIEW_REQUIRED_MESSAGE, code: "REVIEW_REQUIRED" })
+      }
+    }
+
     const post = new Post({
       title: title.trim(),
       content,
+      format: format || "html",
       tags: tags || [],
-      category: category || "Other",
+      category: categoryId,
       coverImage: coverImage || "",
       status: status || "Draft",
       author: req.user.id,
       seoTitle: seoTitle || "",
       seoDescription: seoDescription || "",
+      publishAt,
+      unpublishAt: unpublishAt || undefined,
+      unpublishStatus,
+      slug: slug || undefined,
     })
 
-    await post.save()
+    await post.saveWithUniqueSlug()
+    await PostRevision.record(post, req.user._id)
     await post.populate("author", "name email avatar")
+    await post.populate("category", CATEGORY_DETAILS)
 
     res.status(201).json({
       message: "Post created successfully",
@@ -205,7 +387,7 @@ router.post("/", auth, async (req, res) => {
 // @route   PUT /api/posts/:id
 // @desc    Update a post
 // @access  Private
-router.put("/:id", auth, async (req, res) => {
+router.put("/:id", auth, requireScope("posts:write"), async (req, res) => {
   try {
     const post = await Post.findById(req.params.id)
 
@@ -213,26 +395,96 @@ router.put("/:id", auth, async (req, res) => {
       return res.status(404).json({ message: "Post not found" })
     }
 
-    // Check if user owns the post or is admin
-    if (post.author.toString() !== req.user.id && req.user.role !== "admin") {
+    if (!can(req.user, "post:update", post)) {
       return res.status(403).json({ message: "Access denied" })
     }
 
-    const { title, content, tags, category, coverImage, status, seoTitle, seoDescription } = req.body
+    const precondition = versionPrecondition(req)
+    if (precondition && !precondition.matches(post)) {
+      return sendVersionConflict(res, precondition.status, post._id)
+    }
+
+    const { title, content, format, tags, category, coverImage, status, seoTitle, seoDescription, featured } = req.body
+    const { publishAt, unpublishAt, unpublishStatus, slug } = req.body
+
+    if (slug !== undefined && !slugify(slug)) {
+      return res.status(400).json({ message: "Slug must contain at least one letter or number" })
+    }
+
+    const scheduleError = validateSchedule(req.body, post)
+    if (scheduleError) {
+      return res.status(400).json({ message: scheduleError })
+    }
+
+    const categoryId = category === undefined ? null : await resolveCategory(category)
+    if (categoryId === undefined) {
+      return res.status(400).json({ message: "Category not found" })
+    }
+
+    // Publishing, unpublishing and scheduling either need their own permission
+    const statusChange = status && status !== post.status && (isLive(status) || isLive(post.status))
+    const goingLive = isLive(status) && !isLive(post.status)
+    const scheduleChange = publishAt !== undefined || unpublishAt !== undefined || unpublishStatus !== undefined
+    if ((statusChange || scheduleChange) && !can(req.user, "post:publish", post)) {
+      return res.status(403).json({ message: "You don't have permission to publish this post" })
+    }
+
+    if (goingLive && mustVerifyEmail(req.user)) {
+      return res
+        .status(403)
+        .json({ message: "Please verify your email address before publishing", code: "EMAIL_NOT_VERIFIED" })
+    }
+
+    if (featured !== undefined && !can(req.user, "post:feature", post)) {
+      return res.status(403).json({ message: "You don't have permission to feature posts" })
+    }
+
+    // Posts written before revisions existed keep their current state as the first revision
+    if (!(await PostRevision.exists({ post: post._id }))) {
+      await PostRevision.record(post, post.author, { changedFields: [] })
+    }
 
     // Update fields
     if (title) post.title = title.trim()
     if (content) post.content = content
+    if (format) post.format = format
     if (tags !== undefined) post.tags = tags
-    if (category) post.category = category
+    if (category !== undefined) post.category = categoryId
     if (coverImage !== undefined) post.coverImage = coverImage
     if (status) post.status = status
     if (seoTitle !== undefined) post.seoTitle = seoTitle
     if (seoDescription !== undefined) post.seoDescription = seoDescription
+    if (featured !== undefined) post.featured = Boolean(featured)
+    if (publishAt !== undefined) post.publishAt = publishAt
+    if (unpublishAt !== undefined) post.unpublishAt = unpublishAt || undefined
+    if (unpublishStatus !== undefined) post.unpublishStatus = unpublishStatus
+    if (slug !== undefined) post.slug = slug
 
-    await post.save()
+    const changedFields = PostRevision.FIELDS.filter((field) => post.isModified(field))
+
+    // With review mode on, only the approved text can go live, and stays live or scheduled
+    if (goingLive && (await isReviewRequired()) && (post.review?.state !== "approved" || changedFields.length > 0)) {
+      return res.status(403).json({ message: REVIEW_REQUIRED_MESSAGE, code: "REVIEW_REQUIRED" })
+    }
+    if (changesReviewedText(post) && (await isReviewRequired())) {
+      return res.status(403).json({ message: REVIEW_CHANGES_MESSAGE, code: "REVIEW_REQUIRED" })
+    }
+
+    // Someone else may have saved since the post was loaded
+    if (!(await post.claimVersion())) {
+      return sendVersionConflict(res, precondition?.status || 409, post._id)
+    }
+
+    await post.saveWithUniqueSlug()
+    if (changedFields.length > 0) {
+      await PostRevision.record(post, req.user._id, { changedFields })
+    }
+    // The autosaved edits are part of the post now
+    await PostAutosave.deleteOne({ post: post._id, user: req.user._id })
     await post.populate("author", "name email avatar")
+    await post.populate("category", CATEGORY_DETAILS)
 
+    res.set("ETag", etagFor(post))
     res.json({
       message: "Post updated successfully",
       post,
@@ -256,7 +508,7 @@ router.put("/:id", auth, async (req, res) => {
 // @route   DELETE /api/posts/:id
 // @desc    Delete a post
 // @access  Private
-router.delete("/:id", auth, async (req, res) => {
+router.delete("/:id", auth, requireScope("posts:write"), async (req, res) => {
   try {
     const post = await Post.findById(req.params.id)
 
@@ -264,16 +516,12 @@ router.delete("/:id", auth, async (req, res) => {
       return res.status(404).json({ message: "Post not found" })
     }
 
-    // Check if user owns the post or is admin
-    if (post.author.toString() !== req.user.id && req.user.role !== "admin") {
+    if (!can(req.user, "post:delete", post)) {
       return res.status(403).json({ message: "Access denied" })
     }
 
-    // Delete associated comments
-    await Comment.deleteMany({ post: post._id })
-
-    // Delete the post
-    await Post.findByIdAndDelete(req.params.id)
+    // Delete the post with its comments, revisions etc.
+    await deletePosts([post._id])
 
     res.json({ message: "Post deleted successfully" })
   } catch (error) {
@@ -290,7 +538,7 @@ router.delete("/:id", auth, async (req, res) => {
 // @route   POST /api/posts/:id/like
 // @desc    Like/Unlike a post
 // @access  Private
-router.post("/:id/like", auth, async (req, res) => {
+router.post("/:id/like", auth, requireScope("posts:write"), authorize("post:like"), async (req, res) => {
   try {
     const post = await Post.findById(req.params.id)
 
@@ -337,12 +585,19 @@ router.get("/:id/related", async (req, res) => {
       return res.status(404).json({ message: "Post not found" })
     }
 
+    // Uncategorized posts aren't related just because neither has a category
+    const related = [{ tags: { $in: post.tags } }, { author: post.author }]
+    if (post.category) {
+      related.push({ category: post.category })
+    }
+
     const relatedPosts = await Post.find({
       _id: { $ne: post._id },
       status: "Published",
-      $or: [{ tags: { $in: post.tags } }, { category: post.category }, { author: post.author }],
+      $or: related,
     })
       .populate("author", "name email avatar")
+      .populate("category", CATEGORY_DETAILS)
       .sort({ publishedAt: -1 })
       .limit(4)
       .lean()
@@ -354,4 +609,199 @@ router.get("/:id/related", async (req, res) => {
   }
 })
 
+// @route   GET /api/posts/:id/revisions
+// @desc    Get the revision history of a post
+// @access  Private
+router.get("/:id/revisions", auth, requireScope("read"), async (req, res) => {
+  try {
+    const page = Number.parseInt(req.query.page) || 1
+    const limit = Number.parseInt(req.query.limit) || 20
+    const skip = (page - 1) * limit
+
+    const post = await Post.findById(req.params.id).select("author collaborators")
+
+    if (!post || !can(req.user, "post:update", post)) {
+      return res.status(404).json({ message: "Post not found" })
+    }
+
+    const revisions = await PostRevision.find({ post: post._id })
+      .select("number editor changedFields restoredFrom createdAt")
+      .populate("editor", "name avatar")
+      .sort({ number: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean()
+
+    const total = await PostRevision.countDocuments({ post: post._id })
+    const totalPages = Math.ceil(total / limit)
+
+    res.json({
+      revisions,
+      retention: PostRevision.LIMIT,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalRevisions: total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1,
+      },
+    })
+  } catch (error) {
+    console.error("Get revisions error:", error)
+
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "Post not found" })
+    }
+
+    res.status(500).json({ message: "Server error fetching revisions" })
+  }
+})
+
+// @route   GET /api/posts/:id/revisions/diff?from=&to=
+// @desc    Compare two revisions of a post (to defaults to the latest)
+// @access  Private
+router.get("/:id/revisions/diff", auth, requireScope("read"), async (req, res) => {
+  try {
+    const from = Number.parseInt(req.query.from)
+    const to = Number.parseInt(req.query.to)
+
+    if (Number.isNaN(from)) {
+      return res.status(400).json({ message: "Please provide the revision to compare from" })
+    }
+
+    const post = await Post.findById(req.params.id).select("author collaborators")
+
+    if (!post || !can(req.user, "post:update", post)) {
+      return res.status(404).json({ message: "Post not found" })
+    }
+
+    const [fromRevision, toRevision] = await Promise.all([
+      PostRevision.findOne({ post: post._id, number: from }).lean(),
+      Number.isNaN(to)
+        ? PostRevision.findOne({ post: post._id }).sort({ number: -1 }).lean()
+        : PostRevision.findOne({ post: post._id, number: to }).lean(),
+    ])
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ message: "Revision not found" })
+    }
+
+    res.json({
+      from: fromRevision.number,
+      to: toRevision.number,
+      changes: diffRevisions(fromRevision, toRevision, PostRevision.FIELDS),
+    })
+  } catch (error) {
+    console.error("Diff revisions error:", error)
+
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "Post not found" })
+    }
+
+    res.status(500).json({ message: "Server error comparing revisions" })
+  }
+})
+
+// @route   GET /api/posts/:id/revisions/:rev
+// @desc    Get a single revision of a post
+// @access  Private
+router.get("/:id/revisions/:rev", auth, requireScope("read"), async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id).select("author collaborators")
+
+    if (!post || !can(req.user, "post:update", post)) {
+      return res.status(404).json({ message: "Post not found" })
+    }
+
+    const number = Number.parseInt(req.params.rev)
+    const revision = Number.isNaN(number)
+      ? null
+      : await PostRevision.findOne({ post: post._id, number }).populate("editor", "name avatar").lean()
+
+    if (!revision) {
+      return res.status(404).json({ message: "Revision not found" })
+    }
+
+    res.json(revision)
+  } catch (error) {
+    console.error("Get revision error:", error)
+
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "Post not found" })
+    }
+
+    res.status(500).json({ message: "Server error fetching revision" })
+  }
+})
+
+// @route   POST /api/posts/:id/revisions/:rev/restore
+// @desc    Restore a post to an earlier revision (recorded as a new revision)
+// @access  Private
+router.post("/:id/revisions/:rev/restore", auth, requireScope("posts:write"), async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id)
+
+    if (!post) {
+      return res.status(404).json({ message: "Post not found" })
+    }
+
+    if (!can(req.user, "post:update", post)) {
+      return res.status(403).json({ message: "Access denied" })
+    }
+
+    const number = Number.parseInt(req.params.rev)
+    const revision = Number.isNaN(number) ? null : await PostRevision.findOne({ post: post._id, number }).lean()
+
+    if (!revision) {
+      return res.status(404).json({ message: "Revision not found" })
+    }
+
+    for (const field of PostRevision.FIELDS) {
+      post[field] = revision[field]
+    }
+    // Revisions from before posts had a format are HTML
+    post.format = revision.format || "html"
+
+    const changedFields = PostRevision.FIELDS.filter((field) => post.isModified(field))
+
+    if (changedFields.length === 0) {
+      return res.status(400).json({ message: "Post already matches this revision" })
+    }
+
+    if (changesReviewedText(post) && (await isReviewRequired())) {
+      return res.status(403).json({ message: REVIEW_CHANGES_MESSAGE, code: "REVIEW_REQUIRED" })
+    }
+
+    const precondition = versionPrecondition(req)
+    if ((precondition && !precondition.matches(post)) || !(await post.claimVersion())) {
+      return sendVersionConflict(res, precondition?.status || 409, post._id)
+    }
+
+    await post.save()
+    const restored = await PostRevision.record(post, req.user._id, { changedFields, restoredFrom: number })
+    await post.populate("author", "name email avatar")
+    await post.populate("category", CATEGORY_DETAILS)
+
+    res.set("ETag", etagFor(post))
+    res.json({
+      message: `Post restored to revision ${number}`,
+      revision: restored.number,
+      post,
+    })
+  } catch (error) {
+    console.error("Restore revision error:", error)
+
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "Post not found" })
+    }
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({ message: errors.join(", ") })
+    }
+
+    res.status(500).json({ message: "Server error restoring revision" })
+  }
+})
+
 module.exports = router
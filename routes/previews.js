@@ -0,0 +1,241 @@
+const express = require("express")
+const Post = require("../models/Post")
+const PreviewLink = require("../models/PreviewLink")
+const PreviewFeedback = require("../models/PreviewFeedback")
+const { auth, optionalAuth, requireScope } = require("../middleware/auth")
+const { can } = require("../utils/permissions")
+const { generatePreviewToken, verifyPreviewToken } = require("../utils/tokens")
+
+// Draft preview links, mounted next to the post routes under /api/posts
+const router = express.Router()
+
+const DEFAULT_PREVIEW_HOURS = 72
+const MAX_PREVIEW_HOURS = 30 * 24
+const MAX_FEEDBACK_PER_LINK = 100
+
+const previewUrl = (link) =>
+  `${process.env.CLIENT_URL || "http://localhost:5173"}/preview/${generatePreviewToken(link._id, link.expiresAt)}`
+
+// Resolve a preview token to its active link, or null
+const findActiveLink = async (token) => {
+  const linkId = verifyPreviewToken(token)
+  if (!linkId) return null
+
+  const link = await PreviewLink.findById(linkId)
+  return link && link.isActive() ? link : null
+}
+
+// @route   GET /api/posts/preview/:token
+// @desc    Read a post through a preview link (views are not counted)
+// @access  Public (with preview token)
+router.get("/preview/:token", async (req, res) => {
+  try {
+    const link = await findActiveLink(req.params.token)
+
+    if (!link) {
+      return res.status(404).json({ message: "Preview link is invalid, expired or revoked" })
+    }
+
+    const post = await Post.findById(link.post)
+      .select("-likes -views -likesCount -slugHistory -review -collaborators")
+      .populate("author", "name avatar bio")
+      .lean()
+
+    if (!post) {
+      return res.status(404).json({ message: "Post not found" })
+    }
+
+    await PreviewLink.updateOne({ _id: link._id }, { $inc: { viewCount: 1 }, $set: { lastViewedAt: new Date() } })
+
+    res.json({
+      post,
+      preview: {
+        expiresAt: link.expiresAt,
+        allowFeedback: link.allowFeedback,
+      },
+    })
+  } catch (error) {
+    console.error("Get preview error:", error)
+    res.status(500).json({ message: "Server error fetching preview" })
+  }
+})
+
+// @route   POST /api/posts/preview/:token/feedback
+// @desc    Leave feedback on a draft through a preview link
+// @access  Public (with preview token)
+router.post("/preview/:token/feedback", optionalAuth, async (req, res) => {
+  try {
+    const { comment, name } = req.body
+
+    const link = await findActiveLink(req.params.token)
+
+    if (!link) {
+      return res.status(404).json({ message: "Preview link is invalid, expired or revoked" })
+    }
+
+    if (!link.allowFeedback) {
+      return res.status(403).json({ message: "Feedback is turned off for this preview" })
+    }
+
+    if (!comment || !comment.trim()) {
+      return res.status(400).json({ message: "Feedback is required" })
+    }
+
+    // Anyone with the link can post, so keep a single link from being used to flood the author
+    const count = await PreviewFeedback.countDocuments({ link: link._id })
+    if (count >= MAX_FEEDBACK_PER_LINK) {
+      return res.status(429).json({ message: "This preview has received the maximum amount of feedback" })
+    }
+
+    const feedback = await PreviewFeedback.create({
+      link: link._id,
+      post: link.post,
+      user: req.user?._id,
+      name: req.user ? req.user.name : name,
+      comment,
+    })
+
+    res.status(201).json({
+      message: "Thanks for your feedback!",
+      feedback,
+    })
+  } catch (error) {
+    console.error("Preview feedback error:", error)
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({ message: errors.join(", ") })
+    }
+
+    res.status(500).json({ message: "Server error saving feedback" })
+  }
+})
+
+// @route   GET /api/posts/:id/previews
+// @desc    Get the preview links of a post with their feedback
+// @access  Private
+router.get("/:id/previews", auth, requireScope("read"), async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id).select("author collaborators")
+
+    if (!post || !can(req.user, "post:update", post)) {
+      return res.status(404).json({ message: "Post not found" })
+    }
+
+    const [links, feedback] = await Promise.all([
+      PreviewLink.find({ post: post._id }).populate("createdBy", "name avatar").sort({ createdAt: -1 }),
+      PreviewFeedback.find({ post: post._id }).populate("user", "name avatar").sort({ createdAt: -1 }).lean(),
+    ])
+
+    res.json({
+      links: links.map((link) => ({
+        ...link.toObject(),
+        active: link.isActive(),
+        url: link.isActive() ? previewUrl(link) : undefined,
+      })),
+      feedback,
+    })
+  } catch (error) {
+    console.error("Get preview links error:", error)
+
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "Post not found" })
+    }
+
+    res.status(500).json({ message: "Server error fetching preview links" })
+  }
+})
+
+// @route   POST /api/posts/:id/previews
+// @desc    Create a preview link for an unpublished post
+// @access  Private
+router.post("/:id/previews", auth, requireScope("posts:write"), async (req, res) => {
+  try {
+    const { label, allowFeedback = true } = req.body
+    const hours = Number.parseInt(req.body.expiresInHours) || DEFAULT_PREVIEW_HOURS
+
+    if (hours < 1 || hours > MAX_PREVIEW_HOURS) {
+      return res.status(400).json({ message: `expiresInHours must be between 1 and ${MAX_PREVIEW_HOURS}` })
+    }
+
+    const post = await Post.findById(req.params.id)
+
+    if (!post) {
+      return res.status(404).json({ message: "Post not found" })
+    }
+
+    if (!can(req.user, "post:update", post)) {
+      return res.status(403).json({ message: "Access denied" })
+    }
+
+    if (post.status === "Published") {
+      return res.status(400).json({ message: "Published posts can be shared with their normal link" })
+    }
+
+    const link = await PreviewLink.create({
+      post: post._id,
+      createdBy: req.user._id,
+      label,
+      allowFeedback: Boolean(allowFeedback),
+      expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000),
+    })
+
+    res.status(201).json({
+      message: "Preview link created successfully",
+      link,
+      url: previewUrl(link),
+    })
+  } catch (error) {
+    console.error("Create preview link error:", error)
+
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "Post not found" })
+    }
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({ message: errors.join(", ") })
+    }
+
+    res.status(500).json({ message: "Server error creating preview link" })
+  }
+})
+
+// @route   DELETE /api/posts/:id/previews/:linkId
+// @desc    Revoke a preview link
+// @access  Private
+router.delete("/:id/previews/:linkId", auth, requireScope("posts:write"), async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id).select("author collaborators")
+
+    if (!post) {
+      return res.status(404).json({ message: "Post not found" })
+    }
+
+    if (!can(req.user, "post:update", post)) {
+      return res.status(403).json({ message: "Access denied" })
+    }
+
+    const link = await PreviewLink.findOneAndUpdate(
+      { _id: req.params.linkId, post: post._id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true },
+    )
+
+    if (!link) {
+      return res.status(404).json({ message: "Preview link not found" })
+    }
+
+    res.json({ message: "Preview link revoked successfully" })
+  } catch (error) {
+    console.error("Revoke preview link error:", error)
+
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "Preview link not found" })
+    }
+
+    res.status(500).json({ message: "Server error revoking preview link" })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,215 @@
+const express = require("express")
+const Post = require("../models/Post")
+const PostReview = require("../models/PostReview")
+const PostRevision = require("../models/PostRevision")
+const { auth, authorize, requireScope } = require("../middleware/auth")
+const { can, collaboratorRole } = require("../utils/permissions")
+const { getEditorialPolicy, updateEditorialPolicy } = require("../utils/editorialPolicy")
+const { sendReviewDecisionEmail } = require("../utils/emails")
+
+const router = express.Router()
+
+// What each decision does to the post
+const DECISION_OUTCOMES = {
+  approve: { state: "approved" },
+  request_changes: { state: "changes_requested", status: "Draft" },
+  reject: { state: "rejected", status: "Draft" },
+}
+
+// @route   GET /api/reviews/policy
+// @desc    Get whether posts need approval before publishing
+// @access  Private
+router.get("/policy", auth, async (req, res) => {
+  try {
+    res.json(await getEditorialPolicy())
+  } catch (error) {
+    console.error("Get editorial policy error:", error)
+    res.status(500).json({ message: "Server error fetching editorial policy" })
+  }
+})
+
+// @route   PUT /api/reviews/policy
+// @desc    Turn review mode on or off (Admin only)
+// @access  Private/Admin
+router.put("/policy", auth, authorize("settings:manage"), async (req, res) => {
+  try {
+    const { requireReview } = req.body
+
+    if (requireReview !== undefined && typeof requireReview !== "boolean") {
+      return res.status(400).json({ message: "requireReview must be a boolean value" })
+    }
+
+    const policy = await updateEditorialPolicy({ requireReview }, req.user.id)
+
+    res.json({
+      message: "Editorial policy updated successfully",
+      policy,
+    })
+  } catch (error) {
+    console.error("Update editorial policy error:", error)
+    res.status(500).json({ message: "Server error updating editorial policy" })
+  }
+})
+
+// @route   GET /api/reviews
+// @desc    Get the review queue (posts In Review, oldest submission first)
+// @access  Private/Reviewer
+router.get("/", auth, authorize("post:review"), async (req, res) => {
+  try {
+    const page = Number.parseInt(req.query.page) || 1
+    const limit = Number.parseInt(req.query.limit) || 20
+    const skip = (page - 1) * limit
+
+    const query = { status: "In Review", "review.state": req.query.state || "pending" }
+
+    const posts = await Post.find(query)
+      .select("title slug excerpt author review updatedAt")
+      .populate("author", "name email avatar")
+      .sort({ "review.submittedAt": 1 })
+      .skip(skip)
+      .limit(limit)
+      .lean()
+
+    const total = await Post.countDocuments(query)
+    const totalPages = Math.ceil(total / limit)
+
+    res.json({
+      posts,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalPosts: total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1,
+      },
+    })
+  } catch (error) {
+    console.error("Get review queue error:", error)
+    res.status(500).json({ message: "Server error fetching review queue" })
+  }
+})
+
+// @route   GET /api/reviews/posts/:postId
+// @desc    Get the review state and all review decisions of a post
+// @access  Private
+router.get("/posts/:postId", auth, requireScope("read"), async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.postId).select("author collaborators status review")
+
+    if (!post || !can(req.user, "post:read-draft", post)) {
+      return res.status(404).json({ message: "Post not found" })
+    }
+
+    const reviews = await PostReview.find({ post: post._id })
+      .populate("reviewer", "name avatar")
+      .sort({ createdAt: -1 })
+      .lean()
+
+    res.json({
+      status: post.status,
+      review: post.review,
+      reviews,
+    })
+  } catch (error) {
+    console.error("Get post reviews error:", error)
+
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "Post not found" })
+    }
+
+    res.status(500).json({ message: "Server error fetching reviews" })
+  }
+})
+
+// @route   POST /api/reviews/posts/:postId
+// @desc    Approve, reject or request changes on a post that is In Review
+// @access  Private/Reviewer
+router.post("/posts/:postId", auth, requireScope("posts:write"), authorize("post:review"), async (req, res) => {
+  try {
+    const { decision, summary, notes = [] } = req.body
+
+    if (!DECISION_OUTCOMES[decision]) {
+      return res.status(400).json({ message: `Decision must be one of: ${PostReview.DECISIONS.join(", ")}` })
+    }
+
+    if (!Array.isArray(notes)) {
+      return res.status(400).json({ message: "notes must be an array" })
+    }
+
+    const post = await Post.findById(req.params.postId).populate("author", "name email")
+
+    if (!post) {
+      return res.status(404).json({ message: "Post not found" })
+    }
+
+    if (post.status !== "In Review" || post.review?.state !== "pending") {
+      return res.status(400).json({ message: "This post is not waiting for a review" })
+    }
+
+    // Reviews are a second pair of eyes; only admins may approve their own work
+    const ownWork = post.author._id.equals(req.user._id) || Boolean(collaboratorRole(req.user, post))
+    if (ownWork && req.user.role !== "admin") {
+      return res.status(403).json({ message: "You cannot review your own post" })
+    }
+
+    const latestRevision = await PostRevision.findOne({ post: post._id }).sort({ number: -1 }).select("number").lean()
+
+    const review = new PostReview({
+      post: post._id,
+      reviewer: req.user._id,
+      decision,
+      summary,
+      notes,
+      revision: latestRevision?.number,
+    })
+    // Reject invalid notes before the post is touched
+    await review.validate()
+
+    // The decision changes the post, so it takes a new version (editors holding the previous one get a conflict)
+    if (!(await post.claimVersion())) {
+      return res.status(409).json({
+        message: "This post was changed by someone else. Reload it and try again.",
+        code: "VERSION_CONFLICT",
+      })
+    }
+
+    await review.save()
+
+    const outcome = DECISION_OUTCOMES[decision]
+    post.review = {
+      state: outcome.state,
+      submittedAt: post.review.submittedAt,
+      reviewer: req.user._id,
+      reviewedAt: new Date(),
+    }
+    if (outcome.status) post.status = outcome.status
+    await post.save()
+
+    try {
+      await sendReviewDecisionEmail(post.author, post, review)
+    } catch (mailError) {
+      console.error("Review decision email error:", mailError)
+    }
+
+    res.status(201).json({
+      message: "Review submitted successfully",
+      review,
+      post: { _id: post._id, status: post.status, review: post.review },
+    })
+  } catch (error) {
+    console.error("Review post error:", error)
+
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "Post not found" })
+    }
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({ message: errors.join(", ") })
+    }
+
+    res.status(500).json({ message: "Server error submitting review" })
+  }
+})
+
+module.exports = router
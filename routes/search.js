@@ -0,0 +1,114 @@
+const express = require("express")
+const {
+  textSearch,
+  highlightTerms,
+  buildPostFilter,
+  searchPosts,
+  postFacets,
+  searchAuthors,
+  searchComments,
+} = require("../utils/search")
+const { SUGGESTION_TYPES, suggest } = require("../utils/suggest")
+
+const router = express.Router()
+
+const SEARCH_TYPES = ["all", "posts", "authors", "comments"]
+
+const paginationFor = (page, limit, total) => {
+  const totalPages = Math.ceil(total / limit)
+  return {
+    currentPage: page,
+    totalPages,
+    totalResults: total,
+    hasNext: page < totalPages,
+    hasPrev: page > 1,
+  }
+}
+
+// @route   GET /api/search?q=&phrase=&type=all|posts|authors|comments
+// @desc    Search posts, authors and comments, best match first, with highlighted snippets.
+//          Posts can be filtered by tags, category, author, year, from/to and min/maxReadTime
+//          and come with facet counts for those filters.
+// @access  Public
+router.get("/", async (req, res) => {
+  try {
+    const page = Number.parseInt(req.query.page) || 1
+    const limit = Math.min(Number.parseInt(req.query.limit) || 10, 50)
+    const skip = (page - 1) * limit
+
+    const { q = "", phrase = "", type = "all" } = req.query
+    const search = textSearch(String(q).trim(), String(phrase).trim())
+
+    if (search.length < 2) {
+      return res.status(400).json({ message: "Please provide a search query of at least 2 characters" })
+    }
+
+    if (!SEARCH_TYPES.includes(type)) {
+      return res.status(400).json({ message: `Type must be one of: ${SEARCH_TYPES.join(", ")}` })
+    }
+
+    const { filter, error } = await buildPostFilter(req.query)
+    if (error) {
+      return res.status(400).json({ message: error })
+    }
+
+    const terms = highlightTerms(q, phrase)
+    const wants = (section) => type === "all" || type === section
+
+    const [posts, facets, authors, comments] = await Promise.all([
+      wants("posts") ? searchPosts(search, filter, terms, { skip, limit }) : null,
+      wants("posts") ? postFacets(search, filter) : null,
+      wants("authors") ? searchAuthors(search, terms, { skip, limit }) : null,
+      wants("comments") ? searchComments(search, terms, req.query, { skip, limit }) : null,
+    ])
+
+    const section = (result) =>
+      result ? { results: result.results, pagination: paginationFor(page, limit, result.total) } : undefined
+
+    res.json({
+      query: search,
+      posts: section(posts),
+      authors: section(authors),
+      comments: section(comments),
+      facets: facets || undefined,
+    })
+  } catch (error) {
+    console.error("Search error:", error)
+    res.status(500).json({ message: "Server error searching" })
+  }
+})
+
+// @route   GET /api/search/suggest?q=&types=posts,tags,categories,authors&limit=
+// @desc    Suggestions for partially typed input (word prefixes, small typos allowed), most popular first.
+//          limit applies to each type.
+// @access  Public
+router.get("/suggest", async (req, res) => {
+  try {
+    const q = String(req.query.q || "").trim()
+    const limit = Math.min(Number.parseInt(req.query.limit) || 5, 10)
+    const types = req.query.types
+      ? String(req.query.types)
+          .split(",")
+          .map((type) => type.trim())
+      : SUGGESTION_TYPES
+
+    if (q.length < 2) {
+      return res.json({ query: q, suggestions: {} })
+    }
+
+    const unknown = types.filter((type) => !SUGGESTION_TYPES.includes(type))
+    if (unknown.length > 0) {
+      return res.status(400).json({ message: `Types must be any of: ${SUGGESTION_TYPES.join(", ")}` })
+    }
+
+    res.json({
+      query: q,
+      suggestions: await suggest(q, { types, limit }),
+    })
+  } catch (error) {
+    console.error("Search suggestions error:", error)
+    res.status(500).json({ message: "Server error fetching suggestions" })
+  }
+})
+
+module.exports = router
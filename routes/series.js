@@ -0,0 +1,366 @@
+const express = require("express")
+const mongoose = require("mongoose")
+const Series = require("../models/Series")
+const Post = require("../models/Post")
+const { auth, optionalAuth, authorize, requireScope } = require("../middleware/auth")
+const { can } = require("../utils/permissions")
+
+const router = express.Router()
+
+// Check a list of post ids for a series: every post must exist, belong to the series author
+// and not be part of another series. Returns an error message, or null when the list is valid.
+const validateSeriesPosts = async (postIds, authorId, seriesId) => {
+  if (!Array.isArray(postIds)) {
+    return "posts must be an array of post IDs"
+  }
+
+  const ids = postIds.map(String)
+  if (new Set(ids).size !== ids.length) {
+    return "A post can only appear once in a series"
+  }
+  if (!ids.every((id) => mongoose.isValidObjectId(id))) {
+    return "Invalid post ID"
+  }
+
+  const posts = await Post.find({ _id: { $in: ids } })
+    .select("author")
+    .lean()
+  if (posts.length !== ids.length) {
+    return "Post not found"
+  }
+  if (posts.some((post) => post.author.toString() !== authorId.toString())) {
+    return "Only the series author's posts can be added to a series"
+  }
+
+  const taken = await Series.exists({ _id: { $ne: seriesId }, posts: { $in: ids } })
+  if (taken) {
+    return "A post can only be part of one series"
+  }
+
+  return null
+}
+
+// @route   GET /api/series
+// @desc    Get all series with their published posts
+// @access  Public
+router.get("/", async (req, res) => {
+  try {
+    const page = Number.parseInt(req.query.page) || 1
+    const limit = Number.parseInt(req.query.limit) || 10
+    const skip = (page - 1) * limit
+
+    const query = {}
+    if (req.query.author) {
+      query.author = req.query.author
+    }
+
+    const series = await Series.find(query)
+      .populate("author", "name email avatar")
+      .populate({ path: "posts", select: "title slug excerpt publishedAt", match: { status: "Published" } })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean()
+
+    const total = await Series.countDocuments(query)
+    const totalPages = Math.ceil(total / limit)
+
+    res.json({
+      series,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalSeries: total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1,
+      },
+    })
+  } catch (error) {
+    console.error("Get series error:", error)
+
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: "Invalid author ID" })
+    }
+
+    res.status(500).json({ message: "Server error fetching series" })
+  }
+})
+
+// @route   GET /api/series/:id
+// @desc    Get a single series with its posts in order
+// @access  Public
+router.get("/:id", optionalAuth, async (req, res) => {
+  try {
+    const series = await Series.findById(req.params.id).populate("author", "name email avatar bio")
+
+    if (!series) {
+      return res.status(404).json({ message: "Series not found" })
+    }
+
+    // Whoever can edit the series also sees its unpublished posts
+    const includeDrafts = can(req.user, "series:update", series)
+    await series.populate({
+      path: "posts",
+      select: "title slug excerpt coverImage status readTime publishedAt",
+      match: includeDrafts ? {} : { status: "Published" },
+    })
+
+    res.json(series)
+  } catch (error) {
+    console.error("Get series error:", error)
+
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "Series not found" })
+    }
+
+    res.status(500).json({ message: "Server error fetching series" })
+  }
+})
+
+// @route   POST /api/series
+// @desc    Create a new series
+// @access  Private
+router.post("/", auth, requireScope("posts:write"), authorize("series:create"), async (req, res) => {
+  try {
+    const { title, description, posts = [] } = req.body
+
+    if (!title) {
+      return res.status(400).json({ message: "Title is required" })
+    }
+
+    const postsError = await validateSeriesPosts(posts, req.user._id)
+    if (postsError) {
+      return res.status(400).json({ message: postsError })
+    }
+
+    const series = await Series.create({
+      title,
+      description: description || "",
+      author: req.user._id,
+      posts,
+    })
+    await series.populate("posts", "title slug status")
+
+    res.status(201).json({
+      message: "Series created successfully",
+      series,
+    })
+  } catch (error) {
+    console.error("Create series error:", error)
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({ message: errors.join(", ") })
+    }
+
+    res.status(500).json({ message: "Server error creating series" })
+  }
+})
+
+// @route   PUT /api/series/:id
+// @desc    Update a series (posts replaces the whole list)
+// @access  Private
+router.put("/:id", auth, requireScope("posts:write"), async (req, res) => {
+  try {
+    const series = await Series.findById(req.params.id)
+
+    if (!series) {
+      return res.status(404).json({ message: "Series not found" })
+    }
+
+    if (!can(req.user, "series:update", series)) {
+      return res.status(403).json({ message: "Access denied" })
+    }
+
+    const { title, description, posts } = req.body
+
+    if (posts !== undefined) {
+      const postsError = await validateSeriesPosts(posts, series.author, series._id)
+      if (postsError) {
+        return res.status(400).json({ message: postsError })
+      }
+      series.posts = posts
+    }
+
+    if (title) series.title = title
+    if (description !== undefined) series.description = description
+
+    await series.save()
+    await series.populate("posts", "title slug status")
+
+    res.json({
+      message: "Series updated successfully",
+      series,
+    })
+  } catch (error) {
+    console.error("Update series error:", error)
+
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "Series not found" })
+    }
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({ message: errors.join(", ") })
+    }
+
+    res.status(500).json({ message: "Server error updating series" })
+  }
+})
+
+// @route   PUT /api/series/:id/order
+// @desc    Reorder the posts of a series
+// @access  Private
+router.put("/:id/order", auth, requireScope("posts:write"), async (req, res) => {
+  try {
+    const series = await Series.findById(req.params.id)
+
+    if (!series) {
+      return res.status(404).json({ message: "Series not found" })
+    }
+
+    if (!can(req.user, "series:update", series)) {
+      return res.status(403).json({ message: "Access denied" })
+    }
+
+    const { posts } = req.body
+    const current = series.posts.map(String).sort()
+    const requested = Array.isArray(posts) ? posts.map(String).sort() : []
+
+    // Reordering never adds or removes posts
+    if (requested.length !== current.length || requested.some((id, index) => id !== current[index])) {
+      return res.status(400).json({ message: "posts must contain exactly the posts of the series in the new order" })
+    }
+
+    series.posts = posts
+    await series.save()
+    await series.populate("posts", "title slug status")
+
+    res.json({
+      message: "Series reordered successfully",
+      series,
+    })
+  } catch (error) {
+    console.error("Reorder series error:", error)
+
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "Series not found" })
+    }
+
+    res.status(500).json({ message: "Server error reordering series" })
+  }
+})
+
+// @route   POST /api/series/:id/posts
+// @desc    Add a post to a series (at the end, or at a 1-based position)
+// @access  Private
+router.post("/:id/posts", auth, requireScope("posts:write"), async (req, res) => {
+  try {
+    const series = await Series.findById(req.params.id)
+
+    if (!series) {
+      return res.status(404).json({ message: "Series not found" })
+    }
+
+    if (!can(req.user, "series:update", series)) {
+      return res.status(403).json({ message: "Access denied" })
+    }
+
+    const { postId, position } = req.body
+    const posts = series.posts.map(String)
+
+    if (!postId) {
+      return res.status(400).json({ message: "Post ID is required" })
+    }
+
+    const index = Number.parseInt(position) > 0 ? Number.parseInt(position) - 1 : posts.length
+    posts.splice(index, 0, String(postId))
+
+    const postsError = await validateSeriesPosts(posts, series.author, series._id)
+    if (postsError) {
+      return res.status(400).json({ message: postsError })
+    }
+
+    series.posts = posts
+    await series.save()
+    await series.populate("posts", "title slug status")
+
+    res.json({
+      message: "Post added to series",
+      series,
+    })
+  } catch (error) {
+    console.error("Add post to series error:", error)
+
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "Series not found" })
+    }
+
+    res.status(500).json({ message: "Server error adding post to series" })
+  }
+})
+
+// @route   DELETE /api/series/:id/posts/:postId
+// @desc    Remove a post from a series
+// @access  Private
+router.delete("/:id/posts/:postId", auth, requireScope("posts:write"), async (req, res) => {
+  try {
+    const series = await Series.findById(req.params.id)
+
+    if (!series) {
+      return res.status(404).json({ message: "Series not found" })
+    }
+
+    if (!can(req.user, "series:update", series)) {
+      return res.status(403).json({ message: "Access denied" })
+    }
+
+    if (!series.posts.some((post) => post.toString() === req.params.postId)) {
+      return res.status(404).json({ message: "Post is not part of this series" })
+    }
+
+    series.posts.pull(req.params.postId)
+    await series.save()
+
+    res.json({ message: "Post removed from series" })
+  } catch (error) {
+    console.error("Remove post from series error:", error)
+
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "Series not found" })
+    }
+
+    res.status(500).json({ message: "Server error removing post from series" })
+  }
+})
+
+// @route   DELETE /api/series/:id
+// @desc    Delete a series (its posts are kept)
+// @access  Private
+router.delete("/:id", auth, requireScope("posts:write"), async (req, res) => {
+  try {
+    const series = await Series.findById(req.params.id)
+
+    if (!series) {
+      return res.status(404).json({ message: "Series not found" })
+    }
+
+    if (!can(req.user, "series:delete", series)) {
+      return res.status(403).json({ message: "Access denied" })
+    }
+
+    await Series.findByIdAndDelete(req.params.id)
+
+    res.json({ message: "Series deleted successfully" })
+  } catch (error) {
+    console.error("Delete series error:", error)
+
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "Series not found" })
+    }
+
+    res.status(500).json({ message: "Server error deleting series" })
+  }
+})
+
+module.exports = router
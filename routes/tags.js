@@ -0,0 +1,341 @@
+const express = require("express")
+const Tag = require("../models/Tag")
+const Post = require("../models/Post")
+const { auth, authorize } = require("../middleware/auth")
+const { escapeRegex } = require("../utils/regex")
+
+const router = express.Router()
+
+const TAG_SORTS = {
+  popular: { count: -1, _id: 1 },
+  name: { _id: 1 },
+  recent: { lastUsedAt: -1, _id: 1 },
+}
+
+// Fold `sources` into `target`: posts get the target tag instead, and the sources become aliases of
+// the target so posts using them later are tagged correctly too. Returns { tag, postsUpdated } or { error }.
+const mergeTags = async (sources, target) => {
+  const targetTag = (await Tag.findByNameOrAlias(target)) || new Tag({ name: target })
+  if (targetTag.name !== target) {
+    return { error: `"${target}" is an alias of "${targetTag.name}"` }
+  }
+
+  const sourceTags = []
+  for (const source of sources) {
+    const tag = await Tag.findByNameOrAlias(source)
+    if (tag && tag.name !== source) {
+      return { error: `"${source}" is already an alias of "${tag.name}"` }
+    }
+    if (tag) sourceTags.push(tag)
+  }
+
+  const aliases = [...targetTag.aliases, ...sources, ...sourceTags.flatMap((tag) => tag.aliases)]
+  targetTag.aliases = [...new Set(aliases)].filter((alias) => alias !== target)
+  if (!targetTag.description) {
+    targetTag.description = sourceTags.find((tag) => tag.description)?.description || ""
+  }
+
+  // The aliases have to be in place before the posts are rewritten, so posts saved in between
+  // don't bring the old tags back
+  await targetTag.save()
+  await Tag.deleteMany({ _id: { $in: sourceTags.map((tag) => tag._id) } })
+  const postsUpdated = await Tag.rewritePosts(sources, target)
+
+  return { tag: targetTag, postsUpdated }
+}
+
+// @route   GET /api/tags
+// @desc    Get the tags of published posts with their usage counts (?prefix=, ?sort=popular|name|recent)
+// @access  Public
+router.get("/", async (req, res) => {
+  try {
+    const page = Number.parseInt(req.query.page) || 1
+    const limit = Number.parseInt(req.query.limit) || 20
+    const skip = (page - 1) * limit
+
+    const sort = req.query.sort || "popular"
+    if (!TAG_SORTS[sort]) {
+      return res.status(400).json({ message: `Sort must be one of: ${Object.keys(TAG_SORTS).join(", ")}` })
+    }
+
+    const pipeline = [{ $match: { status: "Published" } }, { $unwind: "$tags" }]
+    const prefix = Tag.normalize(req.query.prefix)
+    if (prefix) {
+      pipeline.push({ $match: { tags: { $regex: `^${escapeRegex(prefix)}` } } })
+    }
+    pipeline.push(
+      { $group: { _id: "$tags", count: { $sum: 1 }, lastUsedAt: { $max: "$publishedAt" } } },
+      { $sort: TAG_SORTS[sort] },
+      { $facet: { tags: [{ $skip: skip }, { $limit: limit }], total: [{ $count: "count" }] } },
+    )
+
+    const [result] = await Post.aggregate(pipeline)
+    const names = result.tags.map((tag) => tag._id)
+    const details = await Tag.find({ name: { $in: names } })
+      .select("name description")
+      .lean()
+    const descriptions = new Map(details.map((tag) => [tag.name, tag.description]))
+
+    const total = result.total[0]?.count || 0
+    const totalPages = Math.ceil(total / limit)
+
+    res.json({
+      tags: result.tags.map((tag) => ({
+        name: tag._id,
+        description: descriptions.get(tag._id) || "",
+        count: tag.count,
+        lastUsedAt: tag.lastUsedAt,
+      })),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalTags: total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1,
+      },
+    })
+  } catch (error) {
+    console.error("Get tags error:", error)
+    res.status(500).json({ message: "Server error fetching tags" })
+  }
+})
+
+// @route   POST /api/tags/merge
+// @desc    Merge tags into one tag, rewriting every post that uses them (Admin only)
+// @access  Private/Admin
+router.post("/merge", auth, authorize("tag:manage"), async (req, res) => {
+  try {
+    const target = Tag.normalize(req.body.target)
+    if (!target) {
+      return res.status(400).json({ message: "Please provide the tag to merge into" })
+    }
+
+    if (!Array.isArray(req.body.sources)) {
+      return res.status(400).json({ message: "sources must be an array of tags" })
+    }
+
+    const sources = [...new Set(req.body.sources.map((source) => Tag.normalize(source)))].filter(
+      (source) => source && source !== target,
+    )
+    if (sources.length === 0) {
+      return res.status(400).json({ message: "Please provide at least one tag to merge" })
+    }
+
+    const { tag, postsUpdated, error } = await mergeTags(sources, target)
+    if (error) {
+      return res.status(400).json({ message: error })
+    }
+
+    res.json({
+      message: `Merged ${sources.length} tag(s) into "${target}"`,
+      tag,
+      postsUpdated,
+    })
+  } catch (error) {
+    console.error("Merge tags error:", error)
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({ message: errors.join(", ") })
+    }
+
+    res.status(500).json({ message: "Server error merging tags" })
+  }
+})
+
+// @route   GET /api/tags/:name
+// @desc    Get a tag with its description and recent posts (aliases redirect to their tag)
+// @access  Public
+router.get("/:name", async (req, res) => {
+  try {
+    const name = Tag.normalize(req.params.name)
+    const limit = Number.parseInt(req.query.limit) || 10
+
+    const tag = await Tag.findByNameOrAlias(name).lean()
+    if (tag && tag.name !== name) {
+      return res
+        .status(301)
+        .location(`${req.baseUrl}/${encodeURIComponent(tag.name)}`)
+        .json({ message: "Tag has moved", name: tag.name })
+    }
+
+    const query = { status: "Published", tags: name }
+    const [posts, postCount] = await Promise.all([
+      Post.find(query)
+        .select("title slug excerpt coverImage author category tags readTime publishedAt likesCount commentsCount")
+        .populate("author", "name avatar")
+        .populate("category", "name slug")
+        .sort({ publishedAt: -1 })
+        .limit(limit)
+        .lean(),
+      Post.countDocuments(query),
+    ])
+
+    if (!tag && postCount === 0) {
+      return res.status(404).json({ message: "Tag not found" })
+    }
+
+    res.json({
+      name,
+      description: tag?.description || "",
+      aliases: tag?.aliases || [],
+      postCount,
+      posts,
+    })
+  } catch (error) {
+    console.error("Get tag error:", error)
+    res.status(500).json({ message: "Server error fetching tag" })
+  }
+})
+
+// @route   PUT /api/tags/:name
+// @desc    Update the description of a tag (Admin only)
+// @access  Private/Admin
+router.put("/:name", auth, authorize("tag:manage"), async (req, res) => {
+  try {
+    const name = Tag.normalize(req.params.name)
+    const { description } = req.body
+
+    if (typeof description !== "string") {
+      return res.status(400).json({ message: "Please provide a description" })
+    }
+
+    const tag = (await Tag.findByNameOrAlias(name)) || new Tag({ name })
+    if (tag.name !== name) {
+      return res.status(400).json({ message: `"${name}" is an alias of "${tag.name}"` })
+    }
+
+    tag.description = description
+    await tag.save()
+
+    res.json({
+      message: "Tag updated successfully",
+      tag,
+    })
+  } catch (error) {
+    console.error("Update tag error:", error)
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({ message: errors.join(", ") })
+    }
+
+    res.status(500).json({ message: "Server error updating tag" })
+  }
+})
+
+// @route   POST /api/tags/:name/rename
+// @desc    Rename a tag on every post (Admin only). The old name stays as an alias.
+// @access  Private/Admin
+router.post("/:name/rename", auth, authorize("tag:manage"), async (req, res) => {
+  try {
+    const from = Tag.normalize(req.params.name)
+    const to = Tag.normalize(req.body.name)
+
+    if (!to || to === from) {
+      return res.status(400).json({ message: "Please provide a new name for the tag" })
+    }
+
+    const existing = await Tag.findByNameOrAlias(from)
+    if (existing && existing.name !== from) {
+      return res.status(400).json({ message: `"${from}" is an alias of "${existing.name}"` })
+    }
+    if (!existing && !(await Post.exists({ tags: from }))) {
+      return res.status(404).json({ message: "Tag not found" })
+    }
+
+    // Taking back one of its own aliases is fine, any other existing tag has to be merged instead
+    const taken = await Tag.findByNameOrAlias(to)
+    if ((taken && !taken._id.equals(existing?._id)) || (await Post.exists({ tags: to }))) {
+      return res.status(400).json({ message: `Tag "${to}" already exists. Merge the tags instead.` })
+    }
+
+    const tag = existing || new Tag({ name: from })
+    tag.name = to
+    tag.aliases = [...new Set([...tag.aliases.filter((alias) => alias !== to), from])]
+    await tag.save()
+    const postsUpdated = await Tag.rewritePosts([from], to)
+
+    res.json({
+      message: `Tag renamed to "${to}"`,
+      tag,
+      postsUpdated,
+    })
+  } catch (error) {
+    console.error("Rename tag error:", error)
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({ message: errors.join(", ") })
+    }
+
+    res.status(500).json({ message: "Server error renaming tag" })
+  }
+})
+
+// @route   POST /api/tags/:name/aliases
+// @desc    Make another tag an alias of this one, e.g. "js" for "javascript" (Admin only).
+//          Posts using the alias are retagged, now and whenever they are saved later.
+// @access  Private/Admin
+router.post("/:name/aliases", auth, authorize("tag:manage"), async (req, res) => {
+  try {
+    const name = Tag.normalize(req.params.name)
+    const alias = Tag.normalize(req.body.alias)
+
+    if (!alias || alias === name) {
+      return res.status(400).json({ message: "Please provide the alias to add" })
+    }
+
+    // A tag with its own description or aliases would lose them; that's what merging is for
+    if (await Tag.exists({ name: alias })) {
+      return res.status(400).json({ message: `Tag "${alias}" has its own details. Merge the tags instead.` })
+    }
+
+    const { tag, postsUpdated, error } = await mergeTags([alias], name)
+    if (error) {
+      return res.status(400).json({ message: error })
+    }
+
+    res.status(201).json({
+      message: `"${alias}" is now an alias of "${name}"`,
+      tag,
+      postsUpdated,
+    })
+  } catch (error) {
+    console.error("Add tag alias error:", error)
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({ message: errors.join(", ") })
+    }
+
+    res.status(500).json({ message: "Server error adding alias" })
+  }
+})
+
+// @route   DELETE /api/tags/:name/aliases/:alias
+// @desc    Stop rewriting an alias to this tag (posts already retagged keep the tag) (Admin only)
+// @access  Private/Admin
+router.delete("/:name/aliases/:alias", auth, authorize("tag:manage"), async (req, res) => {
+  try {
+    const tag = await Tag.findOneAndUpdate(
+      { name: Tag.normalize(req.params.name), aliases: Tag.normalize(req.params.alias) },
+      { $pull: { aliases: Tag.normalize(req.params.alias) } },
+      { new: true },
+    )
+
+    if (!tag) {
+      return res.status(404).json({ message: "Alias not found" })
+    }
+
+    res.json({
+      message: "Alias removed successfully",
+      tag,
+    })
+  } catch (error) {
+    console.error("Remove tag alias error:", error)
+    res.status(500).json({ message: "Server error removing alias" })
+  }
+})
+
+module.exports = router
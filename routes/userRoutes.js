@@ -1,78 +1,409 @@
 const express = require("express")
+const archiver = require("archiver")
+const User = require("../models/User")
+const Session = require("../models/Session")
+const AuditLog = require("../models/AuditLog")
 const Post = require("../models/Post")
 const Comment = require("../models/Comment")
-const { auth } = require("../middleware/auth")
+const ApiToken = require("../models/ApiToken")
+const Series = require("../models/Series")
+const PostInvitation = require("../models/PostInvitation")
+const { auth, requireScope, rejectApiTokens, denyImpersonation } = require("../middleware/auth")
+const { generateApiToken, hashToken } = require("../utils/tokens")
+const { getUserPosts, getUserStats } = require("../utils/userContent")
+const { can } = require("../utils/permissions")
 
 const router = express.Router()
 
 // @route   GET /api/user/posts
 // @desc    Get current user's posts (including drafts)
 // @access  Private
-router.get("/posts", auth, async (req, res) => {
+router.get("/posts", auth, requireScope("read"), async (req, res) => {
   try {
-    const page = Number.parseInt(req.query.page) || 1
-    const limit = Number.parseInt(req.query.limit) || 10
-    const skip = (page - 1) * limit
-    const { status } = req.query
+    const { posts, pagination, error } = await getUserPosts(req.user._id, req.query)
+    if (error) {
+      return res.status(400).json({ message: error })
+    }
+
+    res.json({ posts, pagination })
+  } catch (error) {
+    console.error("Get user posts error:", error)
+    res.status(500).json({ message: "Server error fetching posts" })
+  }
+})
+
+// @route   GET /api/user/posts/scheduled
+// @desc    Get current user's posts with a pending publish or unpublish time
+// @access  Private
+router.get("/posts/scheduled", auth, requireScope("read"), async (req, res) => {
+  try {
+    const posts = await Post.find({
+      author: req.user._id,
+      $or: [{ status: "Scheduled" }, { unpublishAt: { $ne: null } }],
+    })
+      .select("title slug status publishAt unpublishAt unpublishStatus updatedAt")
+      .lean()
+
+    // Soonest first, whichever of the two times comes next
+    const nextRun = (post) => new Date(post.status === "Scheduled" ? post.publishAt : post.unpublishAt)
+    posts.sort((a, b) => nextRun(a) - nextRun(b))
+
+    res.json({ posts })
+  } catch (error) {
+    console.error("Get scheduled posts error:", error)
+    res.status(500).json({ message: "Server error fetching scheduled posts" })
+  }
+})
+
+// @route   DELETE /api/user/posts/:id/schedule
+// @desc    Cancel a scheduled publish (the post goes back to Draft) and/or unpublish
+// @access  Private
+router.delete("/posts/:id/schedule", auth, requireScope("posts:write"), async (req, res) => {
+  try {
+    const post = await Post.findOne({ _id: req.params.id, author: req.user._id })
+
+    if (!post) {
+      return res.status(404).json({ message: "Post not found" })
+    }
+
+    if (!can(req.user, "post:publish", post)) {
+      return res.status(403).json({ message: "You don't have permission to publish this post" })
+    }
 
-    const query = { author: req.user.id }
-    if (status) {
-      query.status = status
+    // ?type=publish or ?type=unpublish cancels only one of them
+    const { type } = req.query
+    const cancelPublish = post.status === "Scheduled" && type !== "unpublish"
+    const cancelUnpublish = Boolean(post.unpublishAt) && type !== "publish"
+
+    if (!cancelPublish && !cancelUnpublish) {
+      return res.status(400).json({ message: "This post has nothing scheduled" })
+    }
+
+    if (cancelPublish) post.status = "Draft"
+    if (cancelUnpublish) {
+      post.unpublishAt = undefined
+      post.unpublishStatus = undefined
     }
+    await post.save()
+
+    res.json({ message: "Schedule cancelled successfully", post })
+  } catch (error) {
+    console.error("Cancel schedule error:", error)
 
-    const posts = await Post.find(query)
-      .populate("author", "name email avatar")
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "Post not found" })
+    }
+
+    res.status(500).json({ message: "Server error cancelling schedule" })
+  }
+})
+
+// @route   GET /api/user/invitations
+// @desc    Get current user's pending invitations to collaborate on posts
+// @access  Private
+router.get("/invitations", auth, requireScope("read"), async (req, res) => {
+  try {
+    const invitations = await PostInvitation.find({
+      invitee: req.user._id,
+      status: "pending",
+      expiresAt: { $gt: new Date() },
+    })
+      .populate("post", "title slug status")
+      .populate("invitedBy", "name avatar")
       .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
       .lean()
 
-    const total = await Post.countDocuments(query)
+    res.json({ invitations })
+  } catch (error) {
+    console.error("Get invitations error:", error)
+    res.status(500).json({ message: "Server error fetching invitations" })
+  }
+})
+
+// @route   POST /api/user/invitations/:id/:answer
+// @desc    Accept or decline an invitation to collaborate on a post
+// @access  Private
+router.post("/invitations/:id/:answer(accept|decline)", auth, requireScope("posts:write"), async (req, res) => {
+  try {
+    const invitation = await PostInvitation.findOne({ _id: req.params.id, invitee: req.user._id })
+
+    if (!invitation || !invitation.isOpen()) {
+      return res.status(404).json({ message: "Invitation not found or expired" })
+    }
 
-    res.json({
-      posts,
-      pagination: {
-        currentPage: page,
-        totalPages: Math.ceil(total / limit),
-        totalPosts: total,
-        hasNext: page < Math.ceil(total / limit),
-        hasPrev: page > 1,
-      },
-    })
+    const accepted = req.params.answer === "accept"
+    const post = await Post.findById(invitation.post)
+
+    if (accepted && post) {
+      const existing = post.collaborators.find((collaborator) => collaborator.user.equals(req.user._id))
+      if (existing) {
+        existing.role = invitation.role
+      } else {
+        post.collaborators.push({ user: req.user._id, role: invitation.role })
+      }
+      await post.save()
+    }
+
+    invitation.status = accepted && post ? "accepted" : "declined"
+    invitation.respondedAt = new Date()
+    await invitation.save()
+
+    if (!post) {
+      return res.status(404).json({ message: "Post not found" })
+    }
+
+    res.json({ message: accepted ? "Invitation accepted" : "Invitation declined" })
   } catch (error) {
-    console.error("Get user posts error:", error)
-    res.status(500).json({ message: "Server error fetching posts" })
+    console.error("Answer invitation error:", error)
+
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "Invitation not found or expired" })
+    }
+
+    res.status(500).json({ message: "Server error answering invitation" })
   }
 })
 
 // @route   GET /api/user/stats
 // @desc    Get current user's statistics
 // @access  Private
-router.get("/stats", auth, async (req, res) => {
+router.get("/stats", auth, requireScope("read"), async (req, res) => {
+  try {
+    res.json(await getUserStats(req.user._id))
+  } catch (error) {
+    console.error("Get user stats error:", error)
+    res.status(500).json({ message: "Server error fetching statistics" })
+  }
+})
+
+const MAX_API_TOKENS = 20
+
+// @route   GET /api/user/tokens
+// @desc    Get current user's personal access tokens
+// @access  Private
+router.get("/tokens", rejectApiTokens, auth, denyImpersonation, async (req, res) => {
+  try {
+    const tokens = await ApiToken.find({ user: req.user.id, revokedAt: null }).sort({ createdAt: -1 })
+
+    res.json({
+      tokens: tokens.map((token) => ({ ...token.toJSON(), expired: !token.isActive() })),
+      availableScopes: ApiToken.SCOPES,
+    })
+  } catch (error) {
+    console.error("Get API tokens error:", error)
+    res.status(500).json({ message: "Server error fetching API tokens" })
+  }
+})
+
+// @route   POST /api/user/tokens
+// @desc    Create a personal access token
+// @access  Private
+router.post("/tokens", rejectApiTokens, auth, denyImpersonation, async (req, res) => {
   try {
-    const userId = req.user.id
-
-    const [totalPosts, publishedPosts, draftPosts, totalViews, totalComments] = await Promise.all([
-      Post.countDocuments({ author: userId }),
-      Post.countDocuments({ author: userId, status: "Published" }),
-      Post.countDocuments({ author: userId, status: "Draft" }),
-      Post.aggregate([
-        { $match: { author: userId, status: "Published" } },
-        { $group: { _id: null, totalViews: { $sum: "$views" } } },
-      ]).then((result) => result[0]?.totalViews || 0),
-      Comment.countDocuments({ userId, isDeleted: false }),
+    const { name, scopes, expiresInDays } = req.body
+
+    if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ message: "Please provide a token name and at least one scope" })
+    }
+
+    if (expiresInDays !== undefined && (!Number.isInteger(expiresInDays) || expiresInDays < 1)) {
+      return res.status(400).json({ message: "expiresInDays must be a positive whole number" })
+    }
+
+    const activeTokens = await ApiToken.countDocuments({ user: req.user.id, revokedAt: null })
+    if (activeTokens >= MAX_API_TOKENS) {
+      return res.status(400).json({ message: `You can have at most ${MAX_API_TOKENS} API tokens` })
+    }
+
+    const token = generateApiToken()
+    const apiToken = new ApiToken({
+      user: req.user.id,
+      name: name.trim(),
+      tokenHash: hashToken(token),
+      prefix: token.substring(0, 10),
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : undefined,
+    })
+
+    await apiToken.save()
+
+    res.status(201).json({
+      message: "API token created. Copy it now, it will not be shown again.",
+      token,
+      apiToken,
+    })
+  } catch (error) {
+    console.error("Create API token error:", error)
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({ message: errors.join(", ") })
+    }
+
+    res.status(500).json({ message: "Server error creating API token" })
+  }
+})
+
+// @route   DELETE /api/user/tokens/:id
+// @desc    Revoke a personal access token
+// @access  Private
+router.delete("/tokens/:id", rejectApiTokens, auth, denyImpersonation, async (req, res) => {
+  try {
+    const apiToken = await ApiToken.findOne({ _id: req.params.id, user: req.user.id, revokedAt: null })
+
+    if (!apiToken) {
+      return res.status(404).json({ message: "API token not found" })
+    }
+
+    apiToken.revokedAt = new Date()
+    await apiToken.save()
+
+    res.json({ message: "API token revoked successfully" })
+  } catch (error) {
+    console.error("Revoke API token error:", error)
+
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "API token not found" })
+    }
+
+    res.status(500).json({ message: "Server error revoking API token" })
+  }
+})
+
+const DELETION_GRACE_DAYS = Number.parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14
+
+// @route   GET /api/user/export
+// @desc    Download all of the current user's data as a zip archive
+// @access  Private
+router.get("/export", rejectApiTokens, auth, denyImpersonation, async (req, res) => {
+  try {
+    const userId = req.user._id
+
+    const [user, posts, series, comments, likedPosts, likedComments] = await Promise.all([
+      User.findById(userId),
+      Post.find({ author: userId }).populate("category", "name slug").sort({ createdAt: -1 }).lean(),
+      Series.find({ author: userId }).sort({ createdAt: -1 }).lean(),
+      Comment.find({ userId }).populate("post", "title slug").sort({ createdAt: -1 }).lean(),
+      Post.find({ "likes.user": userId }).select("title slug likes").lean(),
+      Comment.find({ "likes.user": userId }).select("comment post likes").lean(),
     ])
 
+    const likedAt = (likes) => likes.find((like) => like.user.toString() === userId.toString())?.createdAt
+    const likes = {
+      posts: likedPosts.map((post) => ({ post: post._id, title: post.title, slug: post.slug, likedAt: likedAt(post.likes) })),
+      comments: likedComments.map((comment) => ({
+        comment: comment._id,
+        post: comment.post,
+        text: comment.comment,
+        likedAt: likedAt(comment.likes),
+      })),
+    }
+
+    const fileName = `blogify-export-${new Date().toISOString().substring(0, 10)}.zip`
+    res.attachment(fileName)
+
+    const archive = archiver("zip", { zlib: { level: 9 } })
+    archive.on("error", (error) => {
+      console.error("Export archive error:", error)
+      res.destroy(error)
+    })
+    archive.pipe(res)
+
+    const toJson = (data) => JSON.stringify(data, null, 2)
+    archive.append(toJson(user.toJSON()), { name: "profile.json" })
+    archive.append(toJson(posts.map(({ likes: postLikes, ...post }) => post)), { name: "posts.json" })
+    archive.append(toJson(series), { name: "series.json" })
+    archive.append(toJson(comments.map(({ likes: commentLikes, ...comment }) => comment)), { name: "comments.json" })
+    archive.append(toJson(likes), { name: "likes.json" })
+    await archive.finalize()
+  } catch (error) {
+    console.error("Export user data error:", error)
+
+    if (!res.headersSent) {
+      res.status(500).json({ message: "Server error exporting data" })
+    }
+  }
+})
+
+// @route   DELETE /api/user
+// @desc    Schedule deletion of the current user's account
+// @access  Private
+router.delete("/", rejectApiTokens, auth, denyImpersonation, async (req, res) => {
+  try {
+    const { password, confirmEmail, postsAction } = req.body
+
+    if (!["delete", "reassign"].includes(postsAction)) {
+      return res.status(400).json({ message: "postsAction must be delete or reassign" })
+    }
+
+    const user = await User.findById(req.user.id)
+
+    if (user.deletion?.scheduledFor) {
+      return res.status(400).json({ message: "Account deletion is already scheduled" })
+    }
+
+    // Confirm with the password, or with the email for accounts without one
+    const confirmed = user.password
+      ? password && (await user.comparePassword(password))
+      : confirmEmail && confirmEmail.toLowerCase().trim() === user.email
+    if (!confirmed) {
+      return res.status(400).json({ message: "Please confirm with your password" })
+    }
+
+    user.deletion = {
+      requestedAt: new Date(),
+      scheduledFor: new Date(Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000),
+      postsAction,
+    }
+    await user.save()
+
+    await AuditLog.record(req, "account.deletion_requested", {
+      actor: user._id,
+      targetUser: user._id,
+      email: user.email,
+      details: { scheduledFor: user.deletion.scheduledFor, postsAction },
+    })
+
+    // Sign out everywhere else; the user can still log in to cancel
+    await Session.updateMany(
+      { user: user._id, revokedAt: null, _id: { $ne: req.authSession._id } },
+      { revokedAt: new Date(), revokedReason: "account_deletion_requested" },
+    )
+
     res.json({
-      total: totalPosts,
-      published: publishedPosts,
-      drafts: draftPosts,
-      views: totalViews,
-      comments: totalComments,
+      message: `Your account will be deleted on ${user.deletion.scheduledFor.toISOString().substring(0, 10)}`,
+      deletion: user.deletion,
     })
   } catch (error) {
-    console.error("Get user stats error:", error)
-    res.status(500).json({ message: "Server error fetching statistics" })
+    console.error("Delete account error:", error)
+    res.status(500).json({ message: "Server error deleting account" })
+  }
+})
+
+// @route   POST /api/user/cancel-deletion
+// @desc    Cancel a scheduled account deletion
+// @access  Private
+router.post("/cancel-deletion", rejectApiTokens, auth, denyImpersonation, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id)
+
+    if (!user.deletion?.scheduledFor) {
+      return res.status(400).json({ message: "Account deletion is not scheduled" })
+    }
+
+    user.deletion = undefined
+    await user.save()
+
+    await AuditLog.record(req, "account.deletion_cancelled", {
+      actor: user._id,
+      targetUser: user._id,
+      email: user.email,
+    })
+
+    res.json({ message: "Account deletion cancelled" })
+  } catch (error) {
+    console.error("Cancel account deletion error:", error)
+    res.status(500).json({ message: "Server error cancelling account deletion" })
   }
 })
 
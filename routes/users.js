@@ -2,10 +2,155 @@ const express = require("express")
 const User = require("../models/User")
 const Post = require("../models/Post")
 const Comment = require("../models/Comment")
-const { auth, adminOnly } = require("../middleware/auth")
+const Session = require("../models/Session")
+const ApiToken = require("../models/ApiToken")
+const AuditLog = require("../models/AuditLog")
+const { auth, authorize } = require("../middleware/auth")
+const { ROLES, ROLE_DESCRIPTIONS, normalizeRole, permissionsFor } = require("../utils/permissions")
+const { getSecurityPolicy, updateSecurityPolicy } = require("../utils/securityPolicy")
+const { resetAccountFailures } = require("../utils/bruteForce")
+const { authoredBy, getUserPosts, getUserStats } = require("../utils/userContent")
+const { paginate } = require("../utils/pagination")
+const { issueImpersonationToken } = require("../utils/tokens")
+const { sendPasswordResetEmail } = require("../utils/emails")
 
 const router = express.Router()
 
+// @route   GET /api/users/security-policy
+// @desc    Get account security policy (Admin only)
+// @access  Private/Admin
+router.get("/security-policy", auth, authorize("settings:manage"), async (req, res) => {
+  try {
+    res.json(await getSecurityPolicy())
+  } catch (error) {
+    console.error("Get security policy error:", error)
+    res.status(500).json({ message: "Server error fetching security policy" })
+  }
+})
+
+// @route   PUT /api/users/security-policy
+// @desc    Update account security policy (Admin only)
+// @access  Private/Admin
+router.put("/security-policy", auth, authorize("settings:manage"), async (req, res) => {
+  try {
+    const { requireAdminTwoFactor } = req.body
+
+    if (requireAdminTwoFactor !== undefined && typeof requireAdminTwoFactor !== "boolean") {
+      return res.status(400).json({ message: "requireAdminTwoFactor must be a boolean value" })
+    }
+
+    // Don't let an admin lock themselves out of the admin endpoints
+    if (requireAdminTwoFactor && !req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: "Enable two-factor authentication on your own account first" })
+    }
+
+    const policy = await updateSecurityPolicy({ requireAdminTwoFactor }, req.user.id)
+
+    res.json({
+      message: "Security policy updated successfully",
+      policy,
+    })
+  } catch (error) {
+    console.error("Update security policy error:", error)
+    res.status(500).json({ message: "Server error updating security policy" })
+  }
+})
+
+// @route   GET /api/users/audit-log
+// @desc    Review security events such as failed logins and lockouts (Admin only)
+// @access  Private/Admin
+router.get("/audit-log", auth, authorize("audit:read"), async (req, res) => {
+  try {
+    const page = Number.parseInt(req.query.page) || 1
+    const limit = Number.parseInt(req.query.limit) || 50
+    const skip = (page - 1) * limit
+    const { action, user, email, ip } = req.query
+
+    const query = {}
+    if (action) {
+      query.action = action
+    }
+    if (user) {
+      query.$or = [{ targetUser: user }, { actor: user }]
+    }
+    if (email) {
+      query.email = email.toLowerCase().trim()
+    }
+    if (ip) {
+      query.ip = ip
+    }
+
+    const events = await AuditLog.find(query)
+      .populate("actor", "name email")
+      .populate("targetUser", "name email")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean()
+
+    const total = await AuditLog.countDocuments(query)
+
+    res.json({
+      events,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalEvents: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1,
+      },
+    })
+  } catch (error) {
+    console.error("Get audit log error:", error)
+
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: "Invalid user ID" })
+    }
+
+    res.status(500).json({ message: "Server error fetching audit log" })
+  }
+})
+
+// @route   GET /api/users/roles
+// @desc    List roles and the permissions they grant (Admin only)
+// @access  Private/Admin
+router.get("/roles", auth, authorize("user:manage-role"), (req, res) => {
+  res.json({
+    roles: ROLES.map((role) => ({
+      name: role,
+      description: ROLE_DESCRIPTIONS[role],
+      permissions: permissionsFor(role),
+    })),
+  })
+})
+
+// @route   GET /api/users/:id/permissions
+// @desc    Get a user's role and effective permissions (Admin only)
+// @access  Private/Admin
+router.get("/:id/permissions", auth, authorize("user:manage-role"), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select("name email role").lean()
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    res.json({
+      user: { id: user._id, name: user.name, email: user.email },
+      role: normalizeRole(user.role),
+      permissions: permissionsFor(user.role),
+    })
+  } catch (error) {
+    console.error("Get user permissions error:", error)
+
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    res.status(500).json({ message: "Server error fetching user permissions" })
+  }
+})
+
 // @route   GET /api/users/:id
 // @desc    Get user profile by ID
 // @access  Public
@@ -39,9 +184,6 @@ router.get("/:id", async (req, res) => {
 router.get("/:id/posts", async (req, res) => {
   try {
     const { id } = req.params
-    const page = Number.parseInt(req.query.page) || 1
-    const limit = Number.parseInt(req.query.limit) || 10
-    const skip = (page - 1) * limit
 
     // Check if user exists
     const user = await User.findById(id)
@@ -49,46 +191,51 @@ router.get("/:id/posts", async (req, res) => {
       return res.status(404).json({ message: "User not found" })
     }
 
-    // Get user's published posts
-    const posts = await Post.find({
-      author: id,
-      status: "Published",
+    // Get user's published posts, including the ones they co-authored
+    const query = { ...authoredBy(user._id), status: "Published" }
+    const {
+      items: posts,
+      pagination,
+      error,
+    } = await paginate(Post, query, {
+      params: req.query,
+      sort: { publishedAt: -1 },
+      totalKey: "totalPosts",
+      prepare: (find) =>
+        find
+          .populate("author", "name email avatar")
+          .populate("category", "name slug")
+          .populate("collaborators.user", "name avatar")
+          .lean(),
     })
-      .populate("author", "name email avatar")
-      .sort({ publishedAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .lean()
+
+    if (error) {
+      return res.status(400).json({ message: error })
+    }
 
     // Get user stats
     const [totalPosts, totalViews, totalLikes] = await Promise.all([
-      Post.countDocuments({ author: id, status: "Published" }),
-      Post.aggregate([
-        { $match: { author: user._id, status: "Published" } },
-        { $group: { _id: null, totalViews: { $sum: "$views" } } },
-      ]).then((result) => result[0]?.totalViews || 0),
-      Post.aggregate([
-        { $match: { author: user._id, status: "Published" } },
-        { $group: { _id: null, totalLikes: { $sum: "$likesCount" } } },
-      ]).then((result) => result[0]?.totalLikes || 0),
+      Post.countDocuments(query),
+      Post.aggregate([{ $match: query }, { $group: { _id: null, totalViews: { $sum: "$views" } } }]).then(
+        (result) => result[0]?.totalViews || 0,
+      ),
+      Post.aggregate([{ $match: query }, { $group: { _id: null, totalLikes: { $sum: "$likesCount" } } }]).then(
+        (result) => result[0]?.totalLikes || 0,
+      ),
     ])
 
-    const total = await Post.countDocuments({ author: id, status: "Published" })
-
     res.json({
-      posts,
+      // Readers of a draft aren't co-authors
+      posts: posts.map((post) => ({
+        ...post,
+        collaborators: post.collaborators.filter((collaborator) => collaborator.role === "editor"),
+      })),
       stats: {
         totalPosts,
         totalViews,
         totalLikes,
       },
-      pagination: {
-        currentPage: page,
-        totalPages: Math.ceil(total / limit),
-        totalPosts: total,
-        hasNext: page < Math.ceil(total / limit),
-        hasPrev: page > 1,
-      },
+      pagination,
     })
   } catch (error) {
     console.error("Get user posts error:", error)
@@ -147,9 +294,9 @@ router.get("/:id/comments", async (req, res) => {
 })
 
 // @route   GET /api/users
-// @desc    Get all users (Admin only)
-// @access  Private/Admin
-router.get("/", auth, adminOnly, async (req, res) => {
+// @desc    Get all users (Admins and moderators)
+// @access  Private/Moderator
+router.get("/", auth, authorize("user:list"), async (req, res) => {
   try {
     const page = Number.parseInt(req.query.page) || 1
     const limit = Number.parseInt(req.query.limit) || 20
@@ -166,7 +313,9 @@ router.get("/", auth, adminOnly, async (req, res) => {
       query.role = role
     }
 
-    if (status) {
+    if (status === "locked") {
+      query.lockUntil = { $gt: new Date() }
+    } else if (status) {
       query.isActive = status === "active"
     }
 
@@ -191,9 +340,9 @@ router.get("/", auth, adminOnly, async (req, res) => {
 })
 
 // @route   PUT /api/users/:id/status
-// @desc    Update user status (Admin only)
-// @access  Private/Admin
-router.put("/:id/status", auth, adminOnly, async (req, res) => {
+// @desc    Update user status (Admins and moderators)
+// @access  Private/Moderator
+router.put("/:id/status", auth, authorize("user:manage-status"), async (req, res) => {
   try {
     const { id } = req.params
     const { isActive } = req.body
@@ -202,12 +351,27 @@ router.put("/:id/status", auth, adminOnly, async (req, res) => {
       return res.status(400).json({ message: "isActive must be a boolean value" })
     }
 
+    const target = await User.findById(id).select("role")
+    if (!target) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    // Only admins can deactivate other admins
+    if (target.role === "admin" && req.user.role !== "admin") {
+      return res.status(403).json({ message: "Access denied. You don't have permission to do this." })
+    }
+
     const user = await User.findByIdAndUpdate(id, { isActive }, { new: true }).select("-password")
 
     if (!user) {
       return res.status(404).json({ message: "User not found" })
     }
 
+    // Sign a deactivated user out everywhere
+    if (!isActive) {
+      await Session.revokeAllForUser(user._id, "account_deactivated")
+    }
+
     res.json({
       message: `User ${isActive ? "activated" : "deactivated"} successfully`,
       user,
@@ -226,13 +390,13 @@ router.put("/:id/status", auth, adminOnly, async (req, res) => {
 // @route   PUT /api/users/:id/role
 // @desc    Update user role (Admin only)
 // @access  Private/Admin
-router.put("/:id/role", auth, adminOnly, async (req, res) => {
+router.put("/:id/role", auth, authorize("user:manage-role"), async (req, res) => {
   try {
     const { id } = req.params
     const { role } = req.body
 
-    if (!["user", "admin"].includes(role)) {
-      return res.status(400).json({ message: "Invalid role. Must be user or admin" })
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ message: `Invalid role. Must be one of: ${ROLES.join(", ")}` })
     }
 
     // Prevent admin from changing their own role
@@ -240,12 +404,20 @@ router.put("/:id/role", auth, adminOnly, async (req, res) => {
       return res.status(400).json({ message: "Cannot change your own role" })
     }
 
+    const previous = await User.findById(id).select("role")
     const user = await User.findByIdAndUpdate(id, { role }, { new: true }).select("-password")
 
     if (!user) {
       return res.status(404).json({ message: "User not found" })
     }
 
+    await AuditLog.record(req, "user.role_changed", {
+      actor: req.user._id,
+      targetUser: user._id,
+      email: user.email,
+      details: { from: previous.role, to: role },
+    })
+
     res.json({
       message: `User role updated to ${role} successfully`,
       user,
@@ -261,4 +433,226 @@ router.put("/:id/role", auth, adminOnly, async (req, res) => {
   }
 })
 
+// @route   POST /api/users/:id/unlock
+// @desc    Unlock an account locked after failed logins (Admin only)
+// @access  Private/Admin
+router.post("/:id/unlock", auth, authorize("user:unlock"), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    await resetAccountFailures(user._id)
+    await AuditLog.record(req, "account.unlocked", {
+      actor: req.user._id,
+      targetUser: user._id,
+      email: user.email,
+      details: { wasLockedUntil: user.lockUntil, failedLoginAttempts: user.failedLoginAttempts },
+    })
+
+    res.json({ message: "Account unlocked successfully" })
+  } catch (error) {
+    console.error("Unlock user error:", error)
+
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    res.status(500).json({ message: "Server error unlocking user" })
+  }
+})
+
+// @route   GET /api/users/:id/dashboard/posts
+// @desc    Get a user's posts including drafts, as on their dashboard (Admin only)
+// @access  Private/Admin
+router.get("/:id/dashboard/posts", auth, authorize("user:support"), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select("_id")
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    const { posts, pagination, error } = await getUserPosts(user._id, req.query)
+    if (error) {
+      return res.status(400).json({ message: error })
+    }
+
+    res.json({ posts, pagination })
+  } catch (error) {
+    console.error("Get user dashboard posts error:", error)
+
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    res.status(500).json({ message: "Server error fetching user posts" })
+  }
+})
+
+// @route   GET /api/users/:id/dashboard/stats
+// @desc    Get a user's dashboard statistics (Admin only)
+// @access  Private/Admin
+router.get("/:id/dashboard/stats", auth, authorize("user:support"), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select("_id")
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    res.json(await getUserStats(user._id))
+  } catch (error) {
+    console.error("Get user dashboard stats error:", error)
+
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    res.status(500).json({ message: "Server error fetching user statistics" })
+  }
+})
+
+// @route   POST /api/users/:id/impersonate
+// @desc    Start a time-limited session as another user (Admin only)
+// @access  Private/Admin
+router.post("/:id/impersonate", auth, authorize("user:impersonate"), async (req, res) => {
+  try {
+    const reason = req.body.reason?.trim()
+
+    if (!reason) {
+      return res.status(400).json({ message: "Please provide a reason for impersonating this user" })
+    }
+
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ message: "Cannot impersonate yourself" })
+    }
+
+    const user = await User.findById(req.params.id)
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    if (!user.isActive) {
+      return res.status(400).json({ message: "Cannot impersonate a deactivated account" })
+    }
+
+    // A support session must never grant more than the admin already has
+    if (normalizeRole(user.role) === "admin") {
+      return res.status(403).json({ message: "Admin accounts cannot be impersonated" })
+    }
+
+    const { token, session } = await issueImpersonationToken(req.user, user, req, reason)
+
+    await AuditLog.record(req, "impersonation.started", {
+      actor: req.user._id,
+      targetUser: user._id,
+      email: user.email,
+      details: { reason, session: session._id, expiresAt: session.expiresAt },
+    })
+
+    res.status(201).json({
+      message: `You are now acting as ${user.name}`,
+      token,
+      expiresAt: session.expiresAt,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+      },
+    })
+  } catch (error) {
+    console.error("Impersonate user error:", error)
+
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    res.status(500).json({ message: "Server error starting impersonation" })
+  }
+})
+
+// @route   POST /api/users/:id/force-password-reset
+// @desc    Require a user to reset their password and sign them out everywhere (Admin only)
+// @access  Private/Admin
+router.post("/:id/force-password-reset", auth, authorize("user:force-password-reset"), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    const { token, expiresInMinutes } = user.createPasswordResetToken()
+    user.passwordResetRequired = true
+    await user.save()
+
+    // Whatever may have been obtained with the old password stops working
+    await Session.revokeAllForUser(user._id, "password_reset_forced")
+    await ApiToken.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() })
+
+    let emailSent = true
+    try {
+      await sendPasswordResetEmail(user, token, expiresInMinutes)
+    } catch (mailError) {
+      // The user can still request a new link through /api/auth/forgot-password
+      console.error("Password reset email error:", mailError)
+      emailSent = false
+    }
+
+    await AuditLog.record(req, "password.reset_forced", {
+      actor: req.user._id,
+      targetUser: user._id,
+      email: user.email,
+      details: { emailSent },
+    })
+
+    res.json({ message: "Password reset required. The user has been signed out everywhere.", emailSent })
+  } catch (error) {
+    console.error("Force password reset error:", error)
+
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    res.status(500).json({ message: "Server error forcing password reset" })
+  }
+})
+
+// @route   POST /api/users/:id/revoke-sessions
+// @desc    Sign a user out of every device (Admin only)
+// @access  Private/Admin
+router.post("/:id/revoke-sessions", auth, authorize("user:support"), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select("email")
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    const result = await Session.revokeAllForUser(user._id, "revoked_by_admin")
+
+    await AuditLog.record(req, "sessions.revoked_by_admin", {
+      actor: req.user._id,
+      targetUser: user._id,
+      email: user.email,
+      details: { revoked: result.modifiedCount },
+    })
+
+    res.json({ message: "All sessions have been revoked", revoked: result.modifiedCount })
+  } catch (error) {
+    console.error("Revoke user sessions error:", error)
+
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    res.status(500).json({ message: "Server error revoking sessions" })
+  }
+})
+
 module.exports = router
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose")
+const dotenv = require("dotenv")
+const Post = require("../models/Post")
+const User = require("../models/User")
+const { searchWordsOf } = require("../utils/words")
+
+dotenv.config()
+
+// Store the title and name words that search suggestions look up for posts and users saved before
+// they existed. New and edited posts and users get them when they are saved.
+const backfill = async (Model, source, target) => {
+  const documents = await Model.find({ [target]: { $exists: false } })
+    .select(source)
+    .lean()
+
+  for (const document of documents) {
+    await Model.updateOne(
+      { _id: document._id },
+      { $set: { [target]: searchWordsOf(document[source]) } },
+      { timestamps: false },
+    )
+  }
+
+  return documents.length
+}
+
+const indexSearchWords = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || "mongodb://localhost:27017/blogify")
+    console.log("✅ Connected to MongoDB")
+
+    const posts = await backfill(Post, "title", "titleWords")
+    const users = await backfill(User, "name", "nameWords")
+
+    console.log(`🔤 Indexed the words of ${posts} post titles and ${users} user names`)
+    process.exit(0)
+  } catch (error) {
+    console.error("❌ Error indexing search words:", error)
+    process.exit(1)
+  }
+}
+
+indexSearchWords()
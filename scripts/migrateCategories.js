@@ -0,0 +1,49 @@
+const mongoose = require("mongoose")
+const dotenv = require("dotenv")
+const Category = require("../models/Category")
+const Post = require("../models/Post")
+const PostRevision = require("../models/PostRevision")
+
+dotenv.config()
+
+// Posts used to store their category as free text. Create a Category for every distinct name
+// (ignoring case and surrounding spaces) and point posts and their revisions at it.
+// The raw collections are used because the schemas only accept category IDs now.
+const migrateCategories = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || "mongodb://localhost:27017/blogify")
+    console.log("✅ Connected to MongoDB")
+
+    const values = await Post.collection.distinct("category", { category: { $type: "string" } })
+    const revisionValues = await PostRevision.collection.distinct("category", { category: { $type: "string" } })
+
+    let created = 0
+    for (const value of new Set([...values, ...revisionValues])) {
+      const name = value.trim()
+
+      let categoryId = null
+      if (name) {
+        let category = await Category.findByName(name)
+        if (!category) {
+          category = await Category.create({ name })
+          created += 1
+        }
+        categoryId = category._id
+      }
+
+      const update = categoryId ? { $set: { category: categoryId } } : { $unset: { category: "" } }
+      const posts = await Post.collection.updateMany({ category: value }, update)
+      await PostRevision.collection.updateMany({ category: value }, update)
+
+      console.log(`🏷️  "${value}" -> ${name || "uncategorized"} (${posts.modifiedCount} posts)`)
+    }
+
+    console.log(`🔁 Migrated ${values.length} category names, created ${created} categories`)
+    process.exit(0)
+  } catch (error) {
+    console.error("❌ Error migrating categories:", error)
+    process.exit(1)
+  }
+}
+
+migrateCategories()
@@ -0,0 +1,23 @@
+const mongoose = require("mongoose")
+const dotenv = require("dotenv")
+const User = require("../models/User")
+
+dotenv.config()
+
+// Accounts created before the permission system have the role "user", which is now "author"
+const migrateRoles = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || "mongodb://localhost:27017/blogify")
+    console.log("✅ Connected to MongoDB")
+
+    const result = await User.updateMany({ role: "user" }, { role: "author" })
+    console.log(`🔁 Migrated ${result.modifiedCount} users from "user" to "author"`)
+
+    process.exit(0)
+  } catch (error) {
+    console.error("❌ Error migrating roles:", error)
+    process.exit(1)
+  }
+}
+
+migrateRoles()
@@ -0,0 +1,29 @@
+const mongoose = require("mongoose")
+const dotenv = require("dotenv")
+const Post = require("../models/Post")
+
+dotenv.config()
+
+// Posts with non-ASCII titles used to get an empty slug; give them a transliterated, unique one
+const migrateSlugs = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || "mongodb://localhost:27017/blogify")
+    console.log("✅ Connected to MongoDB")
+
+    const posts = await Post.find({ $or: [{ slug: { $exists: false } }, { slug: null }, { slug: "" }] })
+
+    for (const post of posts) {
+      post.slug = undefined
+      await post.save()
+      console.log(`🔗 ${post.title} -> ${post.slug}`)
+    }
+
+    console.log(`🔁 Generated slugs for ${posts.length} posts`)
+    process.exit(0)
+  } catch (error) {
+    console.error("❌ Error migrating slugs:", error)
+    process.exit(1)
+  }
+}
+
+migrateSlugs()
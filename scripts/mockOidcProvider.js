@@ -0,0 +1,136 @@
+// Minimal OpenID Connect provider for trying external sign-in locally.
+//
+//   node scripts/mockOidcProvider.js
+//
+// and start the API with
+//
+//   OAUTH_PROVIDERS=mock
+//   OAUTH_MOCK_ISSUER=http://localhost:4000
+//   OAUTH_MOCK_CLIENT_ID=blogify
+//   OAUTH_MOCK_CLIENT_SECRET=secret
+//
+// Every authorization request is approved immediately for the identity configured
+// with MOCK_OIDC_SUBJECT, MOCK_OIDC_EMAIL, MOCK_OIDC_NAME and MOCK_OIDC_EMAIL_VERIFIED.
+
+const http = require("http")
+const crypto = require("crypto")
+const jwt = require("jsonwebtoken")
+
+const PORT = Number.parseInt(process.env.MOCK_OIDC_PORT) || 4000
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || "blogify"
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || "secret"
+
+const identity = {
+  sub: process.env.MOCK_OIDC_SUBJECT || "mock-user-1",
+  email: process.env.MOCK_OIDC_EMAIL || "mock.user@example.com",
+  email_verified: process.env.MOCK_OIDC_EMAIL_VERIFIED !== "false",
+  name: process.env.MOCK_OIDC_NAME || "Mock User",
+  picture: "",
+}
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 })
+const kid = crypto.randomBytes(8).toString("hex")
+const jwk = { ...publicKey.export({ format: "jwk" }), kid, use: "sig", alg: "RS256" }
+
+// Issued authorization codes and access tokens, kept in memory
+const codes = new Map()
+const accessTokens = new Map()
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json" })
+  res.end(JSON.stringify(body))
+}
+
+const readBody = (req) =>
+  new Promise((resolve) => {
+    let data = ""
+    req.on("data", (chunk) => (data += chunk))
+    req.on("end", () => resolve(new URLSearchParams(data)))
+  })
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER)
+
+  if (url.pathname === "/.well-known/openid-configuration") {
+    return sendJson(res, 200, {
+      issuer: ISSUER,
+      authorization_endpoint: `${ISSUER}/authorize`,
+      token_endpoint: `${ISSUER}/token`,
+      userinfo_endpoint: `${ISSUER}/userinfo`,
+      jwks_uri: `${ISSUER}/jwks`,
+      response_types_supported: ["code"],
+      subject_types_supported: ["public"],
+      id_token_signing_alg_values_supported: ["RS256"],
+      code_challenge_methods_supported: ["S256"],
+    })
+  }
+
+  if (url.pathname === "/jwks") {
+    return sendJson(res, 200, { keys: [jwk] })
+  }
+
+  if (url.pathname === "/authorize") {
+    const params = url.searchParams
+    if (params.get("client_id") !== CLIENT_ID) {
+      return sendJson(res, 400, { error: "invalid_client" })
+    }
+
+    const code = crypto.randomBytes(16).toString("hex")
+    codes.set(code, {
+      redirectUri: params.get("redirect_uri"),
+      nonce: params.get("nonce"),
+      codeChallenge: params.get("code_challenge"),
+    })
+
+    const redirect = new URL(params.get("redirect_uri"))
+    redirect.searchParams.set("code", code)
+    redirect.searchParams.set("state", params.get("state"))
+    res.writeHead(302, { Location: redirect.toString() })
+    return res.end()
+  }
+
+  if (url.pathname === "/token" && req.method === "POST") {
+    const body = await readBody(req)
+    const grant = codes.get(body.get("code"))
+    codes.delete(body.get("code"))
+
+    if (body.get("client_id") !== CLIENT_ID || body.get("client_secret") !== CLIENT_SECRET) {
+      return sendJson(res, 401, { error: "invalid_client" })
+    }
+
+    const challenge = crypto
+      .createHash("sha256")
+      .update(body.get("code_verifier") || "")
+      .digest("base64url")
+    if (!grant || grant.redirectUri !== body.get("redirect_uri") || grant.codeChallenge !== challenge) {
+      return sendJson(res, 400, { error: "invalid_grant" })
+    }
+
+    const accessToken = crypto.randomBytes(16).toString("hex")
+    accessTokens.set(accessToken, identity)
+
+    const idToken = jwt.sign({ ...identity, nonce: grant.nonce }, privateKey, {
+      algorithm: "RS256",
+      keyid: kid,
+      issuer: ISSUER,
+      audience: CLIENT_ID,
+      expiresIn: "5m",
+    })
+
+    return sendJson(res, 200, { access_token: accessToken, token_type: "Bearer", expires_in: 300, id_token: idToken })
+  }
+
+  if (url.pathname === "/userinfo") {
+    const token = req.headers.authorization?.replace("Bearer ", "")
+    const user = accessTokens.get(token)
+    return user ? sendJson(res, 200, user) : sendJson(res, 401, { error: "invalid_token" })
+  }
+
+  sendJson(res, 404, { error: "not_found" })
+})
+
+server.listen(PORT, () => {
+  console.log(`🔐 Mock OpenID Connect provider running at ${ISSUER}`)
+  console.log(`👤 Signing everyone in as ${identity.email}`)
+})
@@ -0,0 +1,28 @@
+const mongoose = require("mongoose")
+const dotenv = require("dotenv")
+const Post = require("../models/Post")
+
+dotenv.config()
+
+// Sanitize posts saved before rendering existed and store their rendered HTML
+const renderPosts = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || "mongodb://localhost:27017/blogify")
+    console.log("✅ Connected to MongoDB")
+
+    const posts = await Post.find({ $or: [{ contentHtml: { $exists: false } }, { contentHtml: null }] })
+
+    for (const post of posts) {
+      // The pre-save hook renders posts without contentHtml
+      await post.save()
+    }
+
+    console.log(`🧼 Rendered and sanitized ${posts.length} posts`)
+    process.exit(0)
+  } catch (error) {
+    console.error("❌ Error rendering posts:", error)
+    process.exit(1)
+  }
+}
+
+renderPosts()
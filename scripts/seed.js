@@ -6,6 +6,7 @@ const dotenv = require("dotenv")
 const User = require("../models/User")
 const Post = require("../models/Post")
 const Comment = require("../models/Comment")
+const Category = require("../models/Category")
 
 dotenv.config()
 
@@ -19,6 +20,7 @@ const seedData = async () => {
     await User.deleteMany({})
     await Post.deleteMany({})
     await Comment.deleteMany({})
+    await Category.deleteMany({})
     console.log("🗑️  Cleared existing data")
 
     // Create sample users
@@ -27,6 +29,7 @@ const seedData = async () => {
         name: "John Doe",
         email: "john@example.com",
         password: "password123",
+        emailVerified: true,
         bio: "Full-stack developer passionate about web technologies and sharing knowledge.",
         website: "https://johndoe.dev",
         twitter: "johndoe",
@@ -36,6 +39,7 @@ const seedData = async () => {
         name: "Jane Smith",
         email: "jane@example.com",
         password: "password123",
+        emailVerified: true,
         bio: "Frontend developer and UI/UX enthusiast. Love creating beautiful user experiences.",
         website: "https://janesmith.design",
         linkedin: "https://linkedin.com/in/janesmith",
@@ -44,6 +48,7 @@ const seedData = async () => {
         name: "Mike Johnson",
         email: "mike@example.com",
         password: "password123",
+        emailVerified: true,
         bio: "Backend developer specializing in Node.js and database optimization.",
         twitter: "mikejohnson",
       },
@@ -51,8 +56,10 @@ const seedData = async () => {
         name: "Sarah Wilson",
         email: "sarah@example.com",
         password: "password123",
+        emailVerified: true,
         bio: "Tech writer and developer advocate. Helping developers learn and grow.",
         website: "https://sarahwrites.tech",
+        role: "editor",
       },
     ]
 
@@ -241,6 +248,14 @@ npm install -D nodemon
       },
     ]
 
+    // Create the categories of the sample posts
+    const categoryNames = [...new Set(posts.map((post) => post.category))]
+    const createdCategories = await Category.create(categoryNames.map((name, order) => ({ name, order })))
+    for (const post of posts) {
+      post.category = createdCategories.find((category) => category.name === post.category)._id
+    }
+    console.log("🏷️  Created sample categories")
+
     const createdPosts = await Post.create(posts)
     console.log("📝 Created sample posts")
 
@@ -320,13 +335,14 @@ npm install -D nodemon
     console.log("\n🎉 Database seeded successfully!")
     console.log("\n📊 Sample Data Created:")
     console.log(`👥 Users: ${createdUsers.length}`)
+    console.log(`🏷️  Categories: ${createdCategories.length}`)
     console.log(`📝 Posts: ${createdPosts.length}`)
     console.log(`💬 Comments: ${comments.length}`)
     console.log("\n🔐 Sample Login Credentials:")
     console.log("Admin: john@example.com / password123")
-    console.log("User: jane@example.com / password123")
-    console.log("User: mike@example.com / password123")
-    console.log("User: sarah@example.com / password123")
+    console.log("Author: jane@example.com / password123")
+    console.log("Author: mike@example.com / password123")
+    console.log("Editor: sarah@example.com / password123")
 
     process.exit(0)
   } catch (error) {
@@ -3,18 +3,46 @@ const mongoose = require("mongoose");
 const cors = require("cors");
 const dotenv = require("dotenv");
 
+// Load environment variables (before anything that reads configuration when it is loaded)
+dotenv.config();
+
+const { startAccountDeletionJob } = require("./jobs/accountDeletion");
+const { startPostScheduler } = require("./jobs/postScheduler");
+const { startBulkOperationRecovery } = require("./jobs/bulkOperationRecovery");
+
 // Import routes
 const authRoutes = require("./routes/auth");
+const oauthRoutes = require("./routes/oauth");
 const postRoutes = require("./routes/posts");
+const bulkRoutes = require("./routes/bulk");
+const collaboratorRoutes = require("./routes/collaborators");
+const previewRoutes = require("./routes/previews");
+const autosaveRoutes = require("./routes/autosaves");
 const commentRoutes = require("./routes/comments");
+const seriesRoutes = require("./routes/series");
+const categoryRoutes = require("./routes/categories");
+const tagRoutes = require("./routes/tags");
+const searchRoutes = require("./routes/search");
+const reviewRoutes = require("./routes/reviews");
 const userRoutes = require("./routes/users");
 const currentUserRoutes = require("./routes/userRoutes");
 
-// Load environment variables
-dotenv.config();
-
 const app = express();
 
+// Behind a proxy (e.g. Vercel) req.ip has to come from X-Forwarded-For,
+// otherwise every client shares one IP for login throttling.
+// TRUST_PROXY is a hop count, true/false, or addresses/subnets as Express accepts them.
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY.trim();
+  let setting = trustProxy;
+  if (/^\d+$/.test(trustProxy)) {
+    setting = Number(trustProxy);
+  } else if (/^(true|false)$/i.test(trustProxy)) {
+    setting = trustProxy.toLowerCase() === "true";
+  }
+  app.set("trust proxy", setting);
+}
+
 // Middleware
 // app.use(cors({
 //   origin: 'http://localhost:5173',
@@ -34,8 +62,18 @@ app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
 // Routes
 app.use("/api/auth", authRoutes);
+app.use("/api/auth/oauth", oauthRoutes);
+app.use("/api/posts/bulk", bulkRoutes); // Before the post routes, which would take "bulk" for a post ID
 app.use("/api/posts", postRoutes);
+app.use("/api/posts", collaboratorRoutes);
+app.use("/api/posts", previewRoutes);
+app.use("/api/posts", autosaveRoutes);
 app.use("/api/comments", commentRoutes);
+app.use("/api/series", seriesRoutes);
+app.use("/api/categories", categoryRoutes);
+app.use("/api/tags", tagRoutes);
+app.use("/api/search", searchRoutes);
+app.use("/api/reviews", reviewRoutes);
 app.use("/api/user", currentUserRoutes); // Current user routes
 app.use("/api/users", userRoutes); // Public user routes
 
@@ -83,6 +121,9 @@ const PORT = process.env.PORT || 5000;
 
 const startServer = async () => {
   await connectDB();
+  startAccountDeletionJob();
+  startPostScheduler();
+  startBulkOperationRecovery();
   app.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`📱 Environment: ${process.env.NODE_ENV || "development"}`);
@@ -0,0 +1,140 @@
+const User = require("../models/User")
+const LoginThrottle = require("../models/LoginThrottle")
+
+const readInt = (name, fallback) => Number.parseInt(process.env[name]) || fallback
+
+// After `freeAttempts` failures every further attempt has to wait twice as long as the previous
+// one (1s, 2s, 4s, ... capped at MAX_DELAY_SECONDS); `maxAttempts` failures lock the key.
+const ACCOUNT_LIMITS = {
+  freeAttempts: readInt("LOGIN_ACCOUNT_FREE_ATTEMPTS", 3),
+  maxAttempts: readInt("LOGIN_ACCOUNT_MAX_ATTEMPTS", 10),
+  lockMinutes: readInt("LOGIN_LOCKOUT_MINUTES", 15),
+}
+const IP_LIMITS = {
+  freeAttempts: readInt("LOGIN_IP_FREE_ATTEMPTS", 10),
+  maxAttempts: readInt("LOGIN_IP_MAX_ATTEMPTS", 50),
+  lockMinutes: readInt("LOGIN_LOCKOUT_MINUTES", 15),
+}
+const MAX_DELAY_SECONDS = 60
+// Failures older than this no longer count
+const FAILURE_WINDOW_MS = readInt("LOGIN_FAILURE_WINDOW_MINUTES", 60) * 60 * 1000
+const REGISTRATIONS_PER_HOUR = readInt("REGISTRATIONS_PER_IP_PER_HOUR", 5)
+
+// Field names of the counters on each kind of document
+const ACCOUNT_FIELDS = { count: "failedLoginAttempts", last: "lastFailedLoginAt", lock: "lockUntil" }
+const IP_FIELDS = { count: "count", last: "lastAttemptAt", lock: "lockUntil" }
+
+const delaySeconds = (failures, limits) =>
+  failures < limits.freeAttempts ? 0 : Math.min(2 ** (failures - limits.freeAttempts), MAX_DELAY_SECONDS)
+
+// Whether a counter currently blocks an attempt: { locked, lockedUntil, retryAfter } or null
+const evaluate = (doc, fields, limits, now = new Date()) => {
+  if (!doc) return null
+
+  const lockUntil = doc[fields.lock]
+  if (lockUntil && lockUntil > now) {
+    return { locked: true, lockedUntil: lockUntil, retryAfter: Math.ceil((lockUntil - now) / 1000) }
+  }
+
+  const last = doc[fields.last]
+  if (!last || now - last > FAILURE_WINDOW_MS) return null
+
+  const nextAttemptAt = last.getTime() + delaySeconds(doc[fields.count], limits) * 1000
+  if (nextAttemptAt > now.getTime()) {
+    return { locked: false, retryAfter: Math.ceil((nextAttemptAt - now.getTime()) / 1000) }
+  }
+
+  return null
+}
+
+// Increment a failure counter, starting over when the window or a previous lock has passed
+const bumpCounter = async (Model, filter, fields, limits, extraUpdate = {}, options = {}) => {
+  const now = new Date()
+
+  await Model.updateOne(
+    {
+      ...filter,
+      $or: [{ [fields.last]: { $lt: new Date(now - FAILURE_WINDOW_MS) } }, { [fields.lock]: { $lte: now } }],
+    },
+    { $set: { [fields.count]: 0 }, $unset: { [fields.lock]: 1 } },
+  )
+
+  const doc = await Model.findOneAndUpdate(
+    filter,
+    { $inc: { [fields.count]: 1 }, $set: { [fields.last]: now, ...extraUpdate } },
+    { new: true, ...options },
+  )
+  if (!doc) return null
+
+  if (doc[fields.count] >= limits.maxAttempts && !doc[fields.lock]) {
+    const lockedUntil = new Date(now.getTime() + limits.lockMinutes * 60 * 1000)
+    await Model.updateOne(filter, { $set: { [fields.lock]: lockedUntil } })
+    return { locked: true, lockedUntil, retryAfter: limits.lockMinutes * 60 }
+  }
+
+  return { locked: false, attemptsRemaining: Math.max(limits.maxAttempts - doc[fields.count], 0) }
+}
+
+// Check whether a login attempt may proceed. Returns null or { scope, locked, lockedUntil, retryAfter }.
+const checkLoginAllowed = async ({ ip, user }) => {
+  const throttle = await LoginThrottle.findOne({ key: `login:${ip}` }).lean()
+  const ipBlock = evaluate(throttle, IP_FIELDS, IP_LIMITS)
+  if (ipBlock) return { scope: "ip", ...ipBlock }
+
+  const accountBlock = user && evaluate(user, ACCOUNT_FIELDS, ACCOUNT_LIMITS)
+  if (accountBlock) return { scope: "account", ...accountBlock }
+
+  return null
+}
+
+// Record a failed login for the IP and, when the email matched an account, for the account.
+// Returns the account state ({ locked, lockedUntil, attemptsRemaining }) or null for unknown emails.
+const recordLoginFailure = async ({ ip, user }) => {
+  await bumpCounter(
+    LoginThrottle,
+    { key: `login:${ip}` },
+    IP_FIELDS,
+    IP_LIMITS,
+    { expiresAt: new Date(Date.now() + FAILURE_WINDOW_MS + IP_LIMITS.lockMinutes * 60 * 1000) },
+    { upsert: true },
+  )
+
+  if (!user) return null
+  return bumpCounter(User, { _id: user._id }, ACCOUNT_FIELDS, ACCOUNT_LIMITS)
+}
+
+// Clear an account's failure counter and lock, after a successful login or by an admin
+const resetAccountFailures = (userId) =>
+  User.updateOne({ _id: userId }, { $set: { failedLoginAttempts: 0 }, $unset: { lastFailedLoginAt: 1, lockUntil: 1 } })
+
+// Check whether an IP may register another account. Returns null or { retryAfter }.
+const checkRegistrationAllowed = async (ip) => {
+  const now = new Date()
+  const throttle = await LoginThrottle.findOne({ key: `register:${ip}`, expiresAt: { $gt: now } }).lean()
+
+  if (throttle && throttle.count >= REGISTRATIONS_PER_HOUR) {
+    return { retryAfter: Math.ceil((throttle.expiresAt - now) / 1000) }
+  }
+  return null
+}
+
+const recordRegistrationAttempt = async (ip) => {
+  const key = `register:${ip}`
+  const now = new Date()
+  const windowEnd = new Date(now.getTime() + 60 * 60 * 1000)
+
+  await LoginThrottle.updateOne({ key, expiresAt: { $lte: now } }, { $set: { count: 0, expiresAt: windowEnd } })
+  await LoginThrottle.updateOne(
+    { key },
+    { $inc: { count: 1 }, $set: { lastAttemptAt: now }, $setOnInsert: { expiresAt: windowEnd } },
+    { upsert: true },
+  )
+}
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  resetAccountFailures,
+  checkRegistrationAllowed,
+  recordRegistrationAttempt,
+}
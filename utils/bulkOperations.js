@@ -0,0 +1,266 @@
+const mongoose = require("mongoose")
+const Post = require("../models/Post")
+const Category = require("../models/Category")
+const PostRevision = require("../models/PostRevision")
+const { can } = require("./permissions")
+const { authoredBy } = require("./userContent")
+const { isReviewRequired } = require("./editorialPolicy")
+const { deletePosts } = require("./postCleanup")
+const { mustVerifyEmail } = require("../middleware/auth")
+
+const MAX_ITEMS = Number.parseInt(process.env.BULK_MAX_ITEMS) || 500
+// Progress is written back every this many posts, so clients polling the operation see it move
+const PROGRESS_INTERVAL = 25
+const FILTER_KEYS = ["status", "category", "tag", "author"]
+
+const isLive = (status) => status === "Published" || status === "Scheduled"
+
+const normalizeTags = (tags) => [...new Set(tags.map((tag) => String(tag).trim().toLowerCase()).filter(Boolean))]
+
+// Check the action arguments of a bulk request. Returns an error message, or null when they are valid.
+const validateBulkParams = (action, params = {}) => {
+  if (["add_tags", "remove_tags", "set_tags"].includes(action)) {
+    if (!Array.isArray(params.tags)) {
+      return "tags must be an array"
+    }
+    if (action !== "set_tags" && normalizeTags(params.tags).length === 0) {
+      return "Please provide at least one tag"
+    }
+  }
+
+  if (action === "set_category" && (typeof params.category !== "string" || !params.category.trim())) {
+    return "Please provide a category"
+  }
+
+  return null
+}
+
+// Turn the ids or filter of a bulk request into the list of posts to work on.
+// Returns { postIds } or { error }.
+const resolveBulkTargets = async (user, { ids, filter }) => {
+  if (ids !== undefined) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return { error: "ids must be a non-empty array of post IDs" }
+    }
+    if (!ids.every((id) => mongoose.isValidObjectId(id))) {
+      return { error: "Invalid post ID" }
+    }
+
+    const postIds = [...new Set(ids.map(String))]
+    if (postIds.length > MAX_ITEMS) {
+      return { error: `A bulk operation can change at most ${MAX_ITEMS} posts` }
+    }
+
+    return { postIds }
+  }
+
+  if (!filter || typeof filter !== "object" || Object.keys(filter).length === 0) {
+    return { error: "Please provide either ids or a filter" }
+  }
+
+  const unknown = Object.keys(filter).filter((key) => !FILTER_KEYS.includes(key))
+  if (unknown.length > 0) {
+    return { error: `Unknown filter: ${unknown.join(", ")}. Filters are: ${FILTER_KEYS.join(", ")}` }
+  }
+
+  const query = {}
+  if (filter.status) {
+    if (!Post.schema.path("status").enumValues.includes(filter.status)) {
+      return { error: "Invalid status filter" }
+    }
+    query.status = filter.status
+  }
+  if (filter.category) {
+    const category = await Category.findByIdOrSlug(filter.category).select("_id").lean()
+    if (!category) {
+      return { error: "Category not found" }
+    }
+    query.category = { $in: await Category.descendantIds(category._id) }
+  }
+  if (filter.tag) query.tags = String(filter.tag).toLowerCase()
+  if (filter.author) {
+    if (!mongoose.isValidObjectId(filter.author)) {
+      return { error: "Invalid author ID" }
+    }
+    query.author = filter.author
+  }
+
+  // Everybody except editors and admins only works on their own posts
+  const scope = can(user, "post:update:any") ? {} : authoredBy(user._id)
+
+  const posts = await Post.find({ ...query, ...scope })
+    .select("_id")
+    .sort({ createdAt: -1 })
+    .limit(MAX_ITEMS + 1)
+    .lean()
+
+  if (posts.length > MAX_ITEMS) {
+    return { error: `The filter matches more than ${MAX_ITEMS} posts. Please narrow it down.` }
+  }
+
+  return { postIds: posts.map((post) => post._id) }
+}
+
+const ACCESS_DENIED = "Access denied"
+
+// The permission an action needs on the given post
+const permissionFor = (action, post) => {
+  switch (action) {
+    case "archive":
+      // Taking a live post down is an unpublish, so it needs the publish permission
+      return isLive(post.status) ? "post:publish" : "post:update"
+    case "publish":
+    case "unpublish":
+      return "post:publish"
+    case "feature":
+    case "unfeature":
+      return "post:feature"
+    case "delete":
+      return "post:delete"
+    default:
+      return "post:update"
+  }
+}
+
+// Apply the action to the post in memory. Returns an error message when the post is in the wrong state
+// for it, otherwise null. The caller has already checked the user's permission.
+const applyAction = async (post, action, params, user) => {
+  switch (action) {
+    case "archive":
+      post.status = "Archived"
+      return null
+
+    case "publish":
+      if (post.status === "Published") return null
+      if (mustVerifyEmail(user)) return "Please verify your email address before publishing"
+      if ((await isReviewRequired()) && post.review?.state !== "approved") {
+        return "This post has to be approved by a reviewer before it can be published"
+      }
+      post.status = "Published"
+      return null
+
+    case "unpublish":
+      if (!isLive(post.status)) return "Post is not published"
+      post.status = "Draft"
+      return null
+
+    case "add_tags":
+    case "remove_tags":
+    case "set_tags": {
+      const tags = normalizeTags(params.tags)
+      if (action === "add_tags") post.tags = normalizeTags([...post.tags, ...tags])
+      if (action === "remove_tags") post.tags = post.tags.filter((tag) => !tags.includes(tag))
+      if (action === "set_tags") post.tags = tags
+      return null
+    }
+
+    case "set_category":
+      post.category = params.category
+      return null
+
+    case "feature":
+    case "unfeature":
+      post.featured = action === "feature"
+      return null
+
+    default:
+      return "Unknown action"
+  }
+}
+
+// Run the operation on a single post and describe the outcome
+const processPost = async (postId, operation, user) => {
+  const post = await Post.findById(postId)
+  if (!post) {
+    return { post: postId, ok: false, error: "Post not found" }
+  }
+
+  // The title is only reported once the user may act on the post, so other people's drafts stay private
+  if (!can(user, permissionFor(operation.action, post), post)) {
+    return { post: post._id, ok: false, error: ACCESS_DENIED }
+  }
+  const result = { post: post._id, title: post.title }
+
+  if (operation.action === "delete") {
+    await deletePosts([post._id])
+    return { ...result, ok: true }
+  }
+
+  // Same as editing a post by hand: posts written before revisions existed get their first revision now
+  if (!(await PostRevision.exists({ post: post._id }))) {
+    await PostRevision.record(post, post.author, { changedFields: [] })
+  }
+
+  const error = await applyAction(post, operation.action, operation.params, user)
+  if (error) {
+    return { ...result, ok: false, error }
+  }
+
+  // Nothing to do, e.g. archiving a post that is already archived
+  if (!post.isModified()) {
+    return { ...result, ok: true }
+  }
+
+  const changedFields = PostRevision.FIELDS.filter((field) => post.isModified(field))
+
+  if (!(await post.claimVersion())) {
+    return { ...result, ok: false, error: "The post was changed by someone else while the operation ran" }
+  }
+
+  await post.save()
+  if (changedFields.length > 0) {
+    await PostRevision.record(post, user._id, { changedFields })
+  }
+
+  return { ...result, ok: true }
+}
+
+// Work through the posts of an operation one by one, recording the outcome for each of them.
+// One post failing never stops the others.
+const runBulkOperation = async (operation, user) => {
+  operation.status = "running"
+  operation.startedAt = new Date()
+  await operation.save()
+
+  try {
+    for (const postId of operation.posts) {
+      let result
+      try {
+        result = await processPost(postId, operation, user)
+      } catch (error) {
+        console.error("Bulk operation item error:", error)
+        result = { post: postId, ok: false, error: error.name === "ValidationError" ? error.message : "Server error" }
+      }
+
+      operation.results.push(result)
+      operation.processed += 1
+      if (result.ok) {
+        operation.succeeded += 1
+      } else {
+        operation.failed += 1
+      }
+
+      if (operation.processed % PROGRESS_INTERVAL === 0) {
+        await operation.save()
+      }
+    }
+
+    operation.status = "completed"
+  } catch (error) {
+    console.error("Bulk operation error:", error)
+    operation.status = "failed"
+    operation.error = "The operation stopped because of a server error"
+  }
+
+  operation.finishedAt = new Date()
+  await operation.save()
+
+  return operation
+}
+
+module.exports = {
+  MAX_ITEMS,
+  validateBulkParams,
+  resolveBulkTargets,
+  runBulkOperation,
+}
@@ -0,0 +1,85 @@
+// Line and field diffs between two post revisions
+
+const MAX_DIFF_CELLS = 4000000
+
+// Longest-common-subsequence line diff. Returns runs of { type: "equal" | "added" | "removed", lines }.
+const diffLines = (before = "", after = "") => {
+  const a = before.split("\n")
+  const b = after.split("\n")
+
+  // Unchanged lines at both ends don't need to go through the table
+  let start = 0
+  while (start < a.length && start < b.length && a[start] === b[start]) start++
+  let endA = a.length
+  let endB = b.length
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--
+    endB--
+  }
+
+  const changes = []
+  const push = (type, line) => {
+    const last = changes[changes.length - 1]
+    if (last && last.type === type) {
+      last.lines.push(line)
+    } else {
+      changes.push({ type, lines: [line] })
+    }
+  }
+
+  a.slice(0, start).forEach((line) => push("equal", line))
+
+  const midA = a.slice(start, endA)
+  const midB = b.slice(start, endB)
+
+  if ((midA.length + 1) * (midB.length + 1) > MAX_DIFF_CELLS) {
+    // Too large to compare line by line; show it as a full replacement
+    midA.forEach((line) => push("removed", line))
+    midB.forEach((line) => push("added", line))
+  } else {
+    // lengths[i][j] = LCS length of midA[i..] and midB[j..]
+    const lengths = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1))
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lengths[i][j] = midA[i] === midB[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1])
+      }
+    }
+
+    let i = 0
+    let j = 0
+    while (i < midA.length && j < midB.length) {
+      if (midA[i] === midB[j]) {
+        push("equal", midA[i])
+        i++
+        j++
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        push("removed", midA[i++])
+      } else {
+        push("added", midB[j++])
+      }
+    }
+    midA.slice(i).forEach((line) => push("removed", line))
+    midB.slice(j).forEach((line) => push("added", line))
+  }
+
+  a.slice(endA).forEach((line) => push("equal", line))
+
+  return changes
+}
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null)
+
+// Compare two revisions field by field; content gets a line diff
+const diffRevisions = (from, to, fields) => {
+  const changes = {}
+
+  for (const field of fields) {
+    if (sameValue(from[field], to[field])) continue
+
+    changes[field] = field === "content" ? diffLines(from.content, to.content) : { from: from[field], to: to[field] }
+  }
+
+  return changes
+}
+
+module.exports = { diffLines, diffRevisions }
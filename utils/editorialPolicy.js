@@ -0,0 +1,23 @@
+const Setting = require("../models/Setting")
+
+const REQUIRE_REVIEW_KEY = "editorial.requireReview"
+
+// Whether posts need a reviewer's approval before they can be published.
+// Falls back to REQUIRE_EDITORIAL_REVIEW until an admin stores the setting.
+const isReviewRequired = async () => {
+  const value = await Setting.getValue(REQUIRE_REVIEW_KEY, process.env.REQUIRE_EDITORIAL_REVIEW === "true")
+  return Boolean(value)
+}
+
+const getEditorialPolicy = async () => ({
+  requireReview: await isReviewRequired(),
+})
+
+const updateEditorialPolicy = async ({ requireReview }, userId) => {
+  if (requireReview !== undefined) {
+    await Setting.setValue(REQUIRE_REVIEW_KEY, Boolean(requireReview), userId)
+  }
+  return getEditorialPolicy()
+}
+
+module.exports = { isReviewRequired, getEditorialPolicy, updateEditorialPolicy }
@@ -0,0 +1,91 @@
+const { sendMail } = require("./mailer")
+
+const clientUrl = (pathname) => `${process.env.CLIENT_URL || "http://localhost:5173"}${pathname}`
+
+// Send the password reset link
+const sendPasswordResetEmail = (user, token, expiresInMinutes) => {
+  const url = clientUrl(`/reset-password?token=${token}`)
+
+  return sendMail({
+    to: user.email,
+    subject: "Reset your Blogify password",
+    text: [
+      `Hi ${user.name},`,
+      "",
+      "We received a request to reset your password. Use the link below to choose a new one:",
+      url,
+      "",
+      `The link expires in ${expiresInMinutes} minutes and can only be used once.`,
+      "If you did not request a password reset you can ignore this email.",
+    ].join("\n"),
+  })
+}
+
+// Send the email address verification link
+const sendVerificationEmail = (user, token, expiresInHours) => {
+  const url = clientUrl(`/verify-email?token=${token}`)
+
+  return sendMail({
+    to: user.email,
+    subject: "Verify your email for Blogify",
+    text: [
+      `Hi ${user.name},`,
+      "",
+      "Please confirm your email address by opening the link below:",
+      url,
+      "",
+      `The link expires in ${expiresInHours} hours.`,
+    ].join("\n"),
+  })
+}
+
+// Tell a user they were invited to work on someone else's post
+const sendCollaborationInviteEmail = (invitee, inviter, post, role) => {
+  const url = clientUrl("/dashboard/invitations")
+  const action = role === "viewer" ? "review the draft of" : "co-author"
+
+  return sendMail({
+    to: invitee.email,
+    subject: `${inviter.name} invited you to ${action} "${post.title}"`,
+    text: [
+      `Hi ${invitee.name},`,
+      "",
+      `${inviter.name} invited you to ${action} "${post.title}" on Blogify.`,
+      "Accept or decline the invitation here:",
+      url,
+    ].join("\n"),
+  })
+}
+
+const REVIEW_OUTCOMES = {
+  approve: "was approved and can now be published",
+  request_changes: "needs some changes before it can be published",
+  reject: "was not accepted for publication",
+}
+
+// Tell an author what the reviewer decided about their post
+const sendReviewDecisionEmail = (author, post, review) => {
+  const url = clientUrl(`/dashboard/posts/${post._id}/reviews`)
+
+  return sendMail({
+    to: author.email,
+    subject: `Your post "${post.title}" ${REVIEW_OUTCOMES[review.decision]}`,
+    text: [
+      `Hi ${author.name},`,
+      "",
+      `Your post "${post.title}" ${REVIEW_OUTCOMES[review.decision]}.`,
+      ...(review.summary ? ["", review.summary] : []),
+      ...(review.notes.length > 0 ? ["", `The reviewer left ${review.notes.length} note(s) on the text.`] : []),
+      "",
+      "See the full review here:",
+      url,
+    ].join("\n"),
+  })
+}
+
+module.exports = {
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendCollaborationInviteEmail,
+  sendReviewDecisionEmail,
+}
@@ -0,0 +1,52 @@
+const { issueAuthTokens, generateChallengeToken } = require("./tokens")
+const { isAdminTwoFactorRequired } = require("./securityPolicy")
+
+// Response body asking for the second factor of a login
+const twoFactorChallenge = (user) => ({
+  message: "Two-factor authentication code required",
+  twoFactorRequired: true,
+  challengeToken: generateChallengeToken(user._id),
+})
+
+// Response body refusing a login while a password reset forced by an admin is pending, or null.
+// Checked by every way of logging in, not just the password.
+const passwordResetRequired = (user) =>
+  user.passwordResetRequired
+    ? {
+        message: "You must reset your password before logging in. Check your email for a reset link.",
+        code: "PASSWORD_RESET_REQUIRED",
+      }
+    : null
+
+// Finish a login once every required factor has been checked and return the response body
+const createLoginSession = async (user, req) => {
+  // Update last login and forget earlier failures
+  user.lastLogin = new Date()
+  user.failedLoginAttempts = 0
+  user.lastFailedLoginAt = undefined
+  user.lockUntil = undefined
+  await user.save()
+
+  // Start a session
+  const { token, refreshToken } = await issueAuthTokens(user, req)
+
+  const twoFactorSetupRequired =
+    user.role === "admin" && !user.twoFactor?.enabled && (await isAdminTwoFactorRequired())
+
+  return {
+    message: "Login successful",
+    token,
+    refreshToken,
+    twoFactorSetupRequired,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      emailVerified: user.emailVerified,
+      lastLogin: user.lastLogin,
+    },
+  }
+}
+
+module.exports = { twoFactorChallenge, passwordResetRequired, createLoginSession }
@@ -0,0 +1,69 @@
+const fs = require("fs/promises")
+const path = require("path")
+
+// A transport is an object with an async send(message) method.
+// Factories receive no arguments and read their own configuration from the environment.
+const transports = {
+  // Print messages to stdout - handy during local development
+  console: () => ({
+    send: async (message) => {
+      console.log("📧 Outgoing email")
+      console.log(`To: ${message.to}`)
+      console.log(`Subject: ${message.subject}`)
+      console.log(message.text)
+    },
+  }),
+
+  // Write every message as a JSON file so it can be inspected or picked up by tests
+  file: () => {
+    const directory = path.resolve(process.env.MAIL_DIR || "tmp/mail")
+
+    return {
+      send: async (message) => {
+        await fs.mkdir(directory, { recursive: true })
+        const fileName = `${message.date.getTime()}-${message.to.replace(/[^a-zA-Z0-9@.]/g, "_")}.json`
+        await fs.writeFile(path.join(directory, fileName), JSON.stringify(message, null, 2))
+      },
+    }
+  },
+}
+
+let activeTransport = null
+
+// Register an additional transport (e.g. SMTP or a provider API) under a name usable in MAIL_TRANSPORT
+const registerTransport = (name, factory) => {
+  transports[name] = factory
+  activeTransport = null
+}
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || "console"
+    const factory = transports[name]
+
+    if (!factory) {
+      throw new Error(`Unknown mail transport "${name}"`)
+    }
+
+    activeTransport = factory()
+  }
+
+  return activeTransport
+}
+
+// Send an email through the configured transport
+const sendMail = async ({ to, subject, text, html }) => {
+  const message = {
+    from: process.env.MAIL_FROM || "Blogify <no-reply@blogify.local>",
+    to,
+    subject,
+    text,
+    html,
+    date: new Date(),
+  }
+
+  await getTransport().send(message)
+  return message
+}
+
+module.exports = { sendMail, registerTransport }
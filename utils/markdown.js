@@ -0,0 +1,97 @@
+const MarkdownIt = require("markdown-it")
+const hljs = require("highlight.js")
+const sanitizeHtml = require("sanitize-html")
+
+// Highlight fenced code blocks; the language is taken from the fence (```js) or guessed
+const highlight = (code, language) => {
+  try {
+    const result =
+      language && hljs.getLanguage(language)
+        ? hljs.highlight(code, { language, ignoreIllegals: true })
+        : hljs.highlightAuto(code)
+    return `<pre class="hljs"><code class="hljs language-${result.language || "plaintext"}">${result.value}</code></pre>`
+  } catch (error) {
+    return `<pre class="hljs"><code class="hljs">${markdown.utils.escapeHtml(code)}</code></pre>`
+  }
+}
+
+// Markdown posts don't support raw HTML: it is shown as text, not rendered. Posts that need HTML use the
+// html format. This is a feature choice, not what keeps readers safe (that is the sanitizer below):
+// it keeps authors from writing markup that the sanitizer would then silently change or drop.
+const markdown = new MarkdownIt({ html: false, linkify: true, typographer: true, highlight })
+
+// Everything a post may contain. Anything else (scripts, iframes, event handlers, inline styles) is removed.
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    ...sanitizeHtml.defaults.allowedTags,
+    "img",
+    "figure",
+    "figcaption",
+    "picture",
+    "source",
+    "del",
+    "ins",
+    "sup",
+    "sub",
+    "mark",
+    "details",
+    "summary",
+  ],
+  allowedAttributes: {
+    a: ["href", "title", "name", "target", "rel"],
+    img: ["src", "srcset", "alt", "title", "width", "height", "loading"],
+    source: ["srcset", "type", "media"],
+    th: ["align", "colspan", "rowspan"],
+    td: ["align", "colspan", "rowspan"],
+    ol: ["start"],
+    code: ["class"],
+    pre: ["class"],
+    span: ["class"],
+  },
+  // Only the classes produced by the syntax highlighter
+  allowedClasses: {
+    pre: ["hljs"],
+    code: ["hljs", "language-*"],
+    span: ["hljs-*"],
+  },
+  allowedSchemes: ["http", "https", "mailto"],
+  allowedSchemesByTag: { img: ["http", "https", "data"] },
+  transformTags: {
+    // Links in posts are user content: don't pass on our ranking or the reader's window
+    a: sanitizeHtml.simpleTransform("a", { rel: "noopener noreferrer nofollow" }),
+  },
+}
+
+const sanitizeContent = (html = "") => sanitizeHtml(html, SANITIZE_OPTIONS)
+
+// Turn post content into HTML that is safe to show to readers
+const renderContent = (content = "", format = "html") => {
+  const html = format === "markdown" ? markdown.render(content) : content
+  return sanitizeContent(html)
+}
+
+// Plain text of rendered HTML, for word counts and excerpts
+const htmlToText = (html = "") =>
+  sanitizeHtml(html, { allowedTags: [], allowedAttributes: {} })
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+    .replace(/\s+/g, " ")
+    .trim()
+
+// The beginning of rendered HTML as text for list cards. Entities stay encoded, because clients put the
+// excerpt into pages as HTML and code shown in a post (`<script>`) must stay text there.
+const createExcerpt = (html = "", length = 150) => {
+  let excerpt = ""
+  for (const char of htmlToText(html)) {
+    const escaped = markdown.utils.escapeHtml(char)
+    if (excerpt.length + escaped.length > length) break
+    excerpt += escaped
+  }
+  return `${excerpt}...`
+}
+
+module.exports = { renderContent, sanitizeContent, htmlToText, createExcerpt }
@@ -0,0 +1,228 @@
+const crypto = require("crypto")
+const jwt = require("jsonwebtoken")
+
+// Well-known providers only need a client id and secret. Any other provider name is treated as a
+// generic OpenID Connect provider and needs OAUTH_<NAME>_ISSUER (used for discovery).
+const PRESETS = {
+  google: {
+    displayName: "Google",
+    issuer: "https://accounts.google.com",
+    scope: "openid email profile",
+  },
+  github: {
+    // GitHub is plain OAuth2 without OpenID Connect
+    displayName: "GitHub",
+    authorizationUrl: "https://github.com/login/oauth/authorize",
+    tokenUrl: "https://github.com/login/oauth/access_token",
+    userInfoUrl: "https://api.github.com/user",
+    scope: "read:user user:email",
+    profile: "github",
+  },
+}
+
+const oauthError = (message) => Object.assign(new Error(message), { name: "OAuthError" })
+
+const env = (name, key) => process.env[`OAUTH_${name.toUpperCase()}_${key}`]
+
+// Public address of this API, for the URLs browsers are sent to
+const apiBaseUrl = () => process.env.OAUTH_REDIRECT_BASE_URL || `http://localhost:${process.env.PORT || 5000}`
+
+// Read the configuration of an enabled provider, or null if it is not enabled
+const getProvider = (name) => {
+  const enabled = (process.env.OAUTH_PROVIDERS || "")
+    .split(",")
+    .map((provider) => provider.trim().toLowerCase())
+    .filter(Boolean)
+
+  if (!enabled.includes(name)) return null
+
+  const preset = PRESETS[name] || {}
+  const provider = {
+    name,
+    displayName: env(name, "DISPLAY_NAME") || preset.displayName || name,
+    clientId: env(name, "CLIENT_ID"),
+    clientSecret: env(name, "CLIENT_SECRET"),
+    issuer: env(name, "ISSUER") || preset.issuer,
+    authorizationUrl: env(name, "AUTHORIZATION_URL") || preset.authorizationUrl,
+    tokenUrl: env(name, "TOKEN_URL") || preset.tokenUrl,
+    userInfoUrl: env(name, "USERINFO_URL") || preset.userInfoUrl,
+    scope: env(name, "SCOPE") || preset.scope || "openid email profile",
+    profile: preset.profile || "oidc",
+    redirectUri: env(name, "REDIRECT_URI") || `${apiBaseUrl()}/api/auth/oauth/${name}/callback`,
+  }
+
+  if (!provider.clientId || (!provider.issuer && !provider.authorizationUrl)) return null
+  return provider
+}
+
+const listProviders = () =>
+  (process.env.OAUTH_PROVIDERS || "")
+    .split(",")
+    .map((name) => getProvider(name.trim().toLowerCase()))
+    .filter(Boolean)
+    .map(({ name, displayName }) => ({ name, displayName }))
+
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: "application/json", "User-Agent": "Blogify", ...options.headers },
+  })
+
+  if (!response.ok) {
+    throw oauthError(`Provider request failed with status ${response.status}`)
+  }
+  return response.json()
+}
+
+// OpenID Connect discovery documents and key sets rarely change, so they are cached per process
+const discoveryCache = new Map()
+const jwksCache = new Map()
+
+// Fill in the endpoints of an OIDC provider from its discovery document
+const resolveEndpoints = async (provider) => {
+  if (!provider.issuer) return provider
+
+  if (!discoveryCache.has(provider.issuer)) {
+    const url = `${provider.issuer.replace(/\/$/, "")}/.well-known/openid-configuration`
+    discoveryCache.set(
+      provider.issuer,
+      fetchJson(url).catch((error) => {
+        discoveryCache.delete(provider.issuer)
+        throw error
+      }),
+    )
+  }
+  const discovery = await discoveryCache.get(provider.issuer)
+
+  return {
+    ...provider,
+    issuer: discovery.issuer,
+    authorizationUrl: provider.authorizationUrl || discovery.authorization_endpoint,
+    tokenUrl: provider.tokenUrl || discovery.token_endpoint,
+    userInfoUrl: provider.userInfoUrl || discovery.userinfo_endpoint,
+    jwksUri: discovery.jwks_uri,
+  }
+}
+
+// PKCE verifier and its S256 challenge
+const createPkcePair = () => {
+  const codeVerifier = crypto.randomBytes(32).toString("base64url")
+  const codeChallenge = crypto.createHash("sha256").update(codeVerifier).digest("base64url")
+  return { codeVerifier, codeChallenge }
+}
+
+const buildAuthorizationUrl = (provider, { state, nonce, codeChallenge }) => {
+  const params = new URLSearchParams({
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scope,
+    state,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+  })
+  if (provider.profile === "oidc") {
+    params.set("nonce", nonce)
+  }
+
+  return `${provider.authorizationUrl}?${params.toString()}`
+}
+
+const exchangeCode = (provider, code, codeVerifier) =>
+  fetchJson(provider.tokenUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: provider.redirectUri,
+      client_id: provider.clientId,
+      client_secret: provider.clientSecret || "",
+      code_verifier: codeVerifier,
+    }).toString(),
+  })
+
+const getSigningKey = async (provider, kid, forceRefresh = false) => {
+  if (forceRefresh || !jwksCache.has(provider.jwksUri)) {
+    jwksCache.set(provider.jwksUri, await fetchJson(provider.jwksUri))
+  }
+
+  const { keys = [] } = jwksCache.get(provider.jwksUri)
+  const jwk = kid ? keys.find((key) => key.kid === kid) : keys.length === 1 && keys[0]
+
+  if (!jwk) {
+    // The provider may have rotated its keys since they were cached
+    if (!forceRefresh) return getSigningKey(provider, kid, true)
+    throw oauthError("Unknown ID token signing key")
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: "jwk" })
+}
+
+// Verify signature, issuer, audience, expiry and nonce of an ID token and return its claims
+const verifyIdToken = async (provider, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true })
+  if (!decoded) throw oauthError("Malformed ID token")
+
+  const key = await getSigningKey(provider, decoded.header.kid)
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ["RS256", "RS384", "RS512", "ES256", "ES384", "ES512", "PS256"],
+    audience: provider.clientId,
+    issuer: provider.issuer,
+  })
+
+  if (claims.nonce !== nonce) throw oauthError("ID token nonce mismatch")
+  return claims
+}
+
+// Normalized external profile: { subject, email, emailVerified, name, avatar }
+const fetchProfile = async (provider, tokens, nonce) => {
+  const authorization = { Authorization: `Bearer ${tokens.access_token}` }
+
+  if (provider.profile === "github") {
+    const [user, emails] = await Promise.all([
+      fetchJson(provider.userInfoUrl, { headers: authorization }),
+      fetchJson("https://api.github.com/user/emails", { headers: authorization }).catch(() => []),
+    ])
+    const primary = emails.find((email) => email.primary) || emails[0]
+
+    return {
+      subject: String(user.id),
+      email: primary?.email || user.email,
+      emailVerified: Boolean(primary?.verified),
+      name: user.name || user.login,
+      avatar: user.avatar_url,
+    }
+  }
+
+  let claims = {}
+  if (tokens.id_token && provider.jwksUri) {
+    claims = await verifyIdToken(provider, tokens.id_token, nonce)
+  }
+  if (provider.userInfoUrl) {
+    const userInfo = await fetchJson(provider.userInfoUrl, { headers: authorization })
+    if (claims.sub && userInfo.sub !== claims.sub) throw oauthError("UserInfo subject mismatch")
+    claims = { ...userInfo, ...claims }
+  }
+  if (!claims.sub) throw oauthError("Provider did not return a subject")
+
+  return {
+    subject: String(claims.sub),
+    email: claims.email,
+    emailVerified: claims.email_verified === true || claims.email_verified === "true",
+    name: claims.name || claims.preferred_username,
+    avatar: claims.picture,
+  }
+}
+
+module.exports = {
+  oauthError,
+  apiBaseUrl,
+  getProvider,
+  listProviders,
+  resolveEndpoints,
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeCode,
+  fetchProfile,
+}
@@ -0,0 +1,154 @@
+const mongoose = require("mongoose")
+
+// Lists can be paged two ways:
+// - page mode (?page=&limit=): skip/limit with totals, as the API always did
+// - cursor mode (?after= or ?before= with ?limit=): continues right after (or before) a given item, so
+//   items added in the meantime don't shift the list and deep pages don't get slower. No totals.
+// Cursors are opaque to clients: the sort values of an item, base64url-encoded JSON.
+
+// Every sort ends with _id, so items with equal values still have a fixed order
+const stableSort = (sort) => ({ ...sort, _id: sort._id || -1 })
+
+const sortKey = (sort) =>
+  Object.entries(sort)
+    .map(([field, direction]) => `${field}:${direction}`)
+    .join(",")
+
+// JSON can't hold dates and ObjectIds, so they are tagged
+const encodeValue = (value) => {
+  if (value instanceof Date) return { d: value.toISOString() }
+  if (value instanceof mongoose.Types.ObjectId) return { o: value.toString() }
+  return value ?? null
+}
+
+// Only plain values come out of a cursor, never query operators
+const decodeValue = (value) => {
+  if (value === null || typeof value === "number" || typeof value === "string" || typeof value === "boolean") {
+    return value
+  }
+  if (value && typeof value.d === "string" && !Number.isNaN(new Date(value.d).getTime())) return new Date(value.d)
+  if (value && typeof value.o === "string" && mongoose.isValidObjectId(value.o)) {
+    return new mongoose.Types.ObjectId(value.o)
+  }
+  throw new Error("Invalid cursor value")
+}
+
+const encodeCursor = (item, sort) =>
+  Buffer.from(
+    JSON.stringify({ k: sortKey(sort), v: Object.keys(sort).map((field) => encodeValue(item[field])) }),
+  ).toString("base64url")
+
+// The sort values stored in a cursor, or null when it's malformed or was made for another sort order
+const decodeCursor = (cursor, sort) => {
+  try {
+    const { k, v } = JSON.parse(Buffer.from(String(cursor), "base64url").toString())
+    if (k !== sortKey(sort) || !Array.isArray(v) || v.length !== Object.keys(sort).length) return null
+    return v.map(decodeValue)
+  } catch {
+    return null
+  }
+}
+
+// Condition for the items that come after `values` in the sort order (or before, going backwards):
+// same values up to some field and a greater/smaller value in that field
+const cursorFilter = (sort, values, backwards) => {
+  const fields = Object.keys(sort)
+  const branches = []
+
+  fields.forEach((field, index) => {
+    const ascending = (sort[field] === 1) !== backwards
+    const value = values[index]
+
+    // Missing values sort before everything else
+    let range
+    if (value === null) {
+      if (!ascending) return
+      range = { [field]: { $ne: null } }
+    } else if (ascending) {
+      range = { [field]: { $gt: value } }
+    } else {
+      range = { $or: [{ [field]: { $lt: value } }, { [field]: null }] }
+    }
+
+    const equal = Object.fromEntries(fields.slice(0, index).map((previous, i) => [previous, values[i]]))
+    branches.push({ ...equal, ...range })
+  })
+
+  return branches.length > 0 ? { $or: branches } : { _id: null }
+}
+
+// Run a list query in page or cursor mode, depending on the request parameters.
+// `prepare` adds populates, select, lean etc. to the query. `totalKey` names the total in page mode
+// (e.g. "totalPosts"). Returns { items, pagination } or { error }.
+const paginate = async (
+  Model,
+  filter,
+  { params = {}, sort, defaultLimit = 10, totalKey = "total", prepare = (query) => query },
+) => {
+  const order = stableSort(sort)
+  const limit = Number.parseInt(params.limit) || defaultLimit
+  const cursor = params.after || params.before
+
+  if (!cursor) {
+    const page = Number.parseInt(params.page) || 1
+    const [items, total] = await Promise.all([
+      prepare(
+        Model.find(filter)
+          .sort(order)
+          .skip((page - 1) * limit)
+          .limit(limit),
+      ),
+      Model.countDocuments(filter),
+    ])
+    const totalPages = Math.ceil(total / limit)
+
+    return {
+      items,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        [totalKey]: total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1,
+        // Lets clients switch to cursor mode from any page
+        nextCursor: page < totalPages && items.length > 0 ? encodeCursor(items[items.length - 1], order) : null,
+      },
+    }
+  }
+
+  const values = decodeCursor(cursor, order)
+  if (!values) {
+    return { error: "Invalid cursor. Cursors only work with the sort order they were created for." }
+  }
+
+  // Going backwards runs the query in reverse order and flips the result back
+  const backwards = !params.after
+  const reverse = Object.fromEntries(Object.entries(order).map(([field, direction]) => [field, -direction]))
+  // Added with $and so the filter's own $or and $text stay where MongoDB expects them
+  const range = cursorFilter(order, values, backwards)
+  const found = await prepare(
+    Model.find({ ...filter, $and: [...(filter.$and || []), range] })
+      .sort(backwards ? reverse : order)
+      .limit(limit + 1),
+  )
+
+  const more = found.length > limit
+  const items = found.slice(0, limit)
+  if (backwards) items.reverse()
+
+  const first = items[0]
+  const last = items[items.length - 1]
+
+  return {
+    items,
+    pagination: {
+      limit,
+      hasNext: backwards ? true : more,
+      hasPrev: backwards ? more : true,
+      nextCursor: last && (backwards || more) ? encodeCursor(last, order) : null,
+      prevCursor: first && (!backwards || more) ? encodeCursor(first, order) : null,
+    },
+  }
+}
+
+module.exports = { paginate, encodeCursor, decodeCursor }
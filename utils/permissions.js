@@ -0,0 +1,105 @@
+// Central authorization policy.
+//
+// Permissions are "<resource>:<action>" strings. Actions on a single document come in an ":own"
+// flavour (the user wrote it) and an ":any" flavour (anybody's). can() checks both, and the
+// ":in-review" flavour: posts waiting for a review, or whose last review decision was the user's.
+// Collaborators on a post get the actions of their collaborator role on that post only.
+
+const ROLES = ["reader", "author", "reviewer", "editor", "moderator", "admin"]
+
+// Accounts created before roles were introduced have the role "user", which meant "can write posts"
+const ROLE_ALIASES = { user: "author" }
+
+const READER = ["post:like", "comment:create", "comment:update:own", "comment:delete:own", "comment:like"]
+const AUTHOR = [
+  ...READER,
+  "post:create",
+  "post:update:own",
+  "post:delete:own",
+  "post:publish:own",
+  "post:read-draft:own",
+  "post:manage-collaborators:own",
+  "series:create",
+  "series:update:own",
+  "series:delete:own",
+]
+
+const ROLE_PERMISSIONS = {
+  reader: READER,
+  author: AUTHOR,
+  reviewer: [...AUTHOR, "post:read-draft:in-review", "post:review"],
+  editor: [
+    ...AUTHOR,
+    "post:review",
+    "post:update:any",
+    "post:publish:any",
+    "post:read-draft:any",
+    "post:feature",
+    "series:update:any",
+    "series:delete:any",
+  ],
+  moderator: [...AUTHOR, "comment:delete:any", "user:list", "user:manage-status"],
+  admin: ["*"],
+}
+
+const ROLE_DESCRIPTIONS = {
+  reader: "Can read, like and comment",
+  author: "Can also write and publish their own posts and series",
+  reviewer: "Can also read posts submitted for review and approve, reject or request changes",
+  editor: "Can also edit, publish and feature anyone's posts and series",
+  moderator: "Can also remove comments and deactivate accounts",
+  admin: "Can do everything, including managing roles, security settings and supporting users",
+}
+
+// What a collaborator may do on the post they were invited to, whatever their own role
+const COLLABORATOR_PERMISSIONS = {
+  editor: ["post:update", "post:read-draft"],
+  viewer: ["post:read-draft"],
+}
+
+const normalizeRole = (role) => ROLE_ALIASES[role] || role
+
+const permissionsFor = (role) => ROLE_PERMISSIONS[normalizeRole(role)] || []
+
+const idOf = (value) => (value && value._id ? value._id : value)?.toString()
+
+// Whether the user created a post or comment
+const isOwner = (user, resource) => {
+  if (!resource) return false
+  const ownerId = idOf(resource.author || resource.userId)
+  return Boolean(ownerId) && ownerId === idOf(user)
+}
+
+// Whether a post is waiting for a review or was last reviewed by the user
+const isUnderReview = (user, resource) =>
+  resource?.status === "In Review" ||
+  (Boolean(resource?.review?.reviewer) && idOf(resource.review.reviewer) === idOf(user))
+
+// The user's collaborator role on a post, if any
+const collaboratorRole = (user, resource) =>
+  resource?.collaborators?.find((collaborator) => idOf(collaborator.user) === idOf(user))?.role
+
+// Check whether a user may perform an action, optionally on a specific post or comment
+const can = (user, action, resource) => {
+  if (!user) return false
+
+  const permissions = permissionsFor(user.role)
+  if (permissions.includes("*") || permissions.includes(action)) return true
+  if (permissions.includes(`${action}:any`)) return true
+
+  if (isOwner(user, resource) && permissions.includes(`${action}:own`)) return true
+  if (isUnderReview(user, resource) && permissions.includes(`${action}:in-review`)) return true
+
+  return (COLLABORATOR_PERMISSIONS[collaboratorRole(user, resource)] || []).includes(action)
+}
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  ROLE_DESCRIPTIONS,
+  COLLABORATOR_PERMISSIONS,
+  normalizeRole,
+  permissionsFor,
+  collaboratorRole,
+  can,
+}
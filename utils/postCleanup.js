@@ -0,0 +1,29 @@
+const Post = require("../models/Post")
+const Comment = require("../models/Comment")
+const PostRevision = require("../models/PostRevision")
+const PostReview = require("../models/PostReview")
+const PostInvitation = require("../models/PostInvitation")
+const PostAutosave = require("../models/PostAutosave")
+const PreviewLink = require("../models/PreviewLink")
+const PreviewFeedback = require("../models/PreviewFeedback")
+const Series = require("../models/Series")
+
+// Delete posts together with everything that only exists for them, and take them out of their series
+const deletePosts = async (postIds) => {
+  const filter = { post: { $in: postIds } }
+
+  await Promise.all([
+    Comment.deleteMany(filter),
+    PostRevision.deleteMany(filter),
+    PostReview.deleteMany(filter),
+    PostInvitation.deleteMany(filter),
+    PostAutosave.deleteMany(filter),
+    PreviewLink.deleteMany(filter),
+    PreviewFeedback.deleteMany(filter),
+    Series.updateMany({ posts: { $in: postIds } }, { $pull: { posts: { $in: postIds } } }),
+  ])
+
+  await Post.deleteMany({ _id: { $in: postIds } })
+}
+
+module.exports = { deletePosts }
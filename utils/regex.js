@@ -0,0 +1,4 @@
+// Escape text typed by a user so it can be matched literally inside a RegExp
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+module.exports = { escapeRegex }
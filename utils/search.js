@@ -0,0 +1,298 @@
+const mongoose = require("mongoose")
+const Post = require("../models/Post")
+const User = require("../models/User")
+const Comment = require("../models/Comment")
+const Category = require("../models/Category")
+const { htmlToText } = require("./markdown")
+const { escapeRegex } = require("./regex")
+
+const SNIPPET_LENGTH = 200
+const FACET_LIMIT = 20
+
+const escapeHtml = (text) =>
+  String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;")
+
+// The $search string for a query, with the exact phrase (if any) in quotes so MongoDB requires it
+const textSearch = (q, phrase) => [q, phrase && `"${phrase.replace(/"/g, "")}"`].filter(Boolean).join(" ").trim()
+
+// Words and phrases to highlight. Negated words ("-draft") are what the user doesn't want to see.
+const highlightTerms = (q = "", phrase = "") => {
+  const terms = []
+  const text = String(q).replace(/"([^"]+)"/g, (match, quoted) => {
+    terms.push(quoted)
+    return " "
+  })
+  terms.push(...text.split(/\s+/).filter((word) => word && !word.startsWith("-")))
+  if (phrase) terms.push(phrase.replace(/"/g, ""))
+
+  // Longest first, so a phrase wins over the words inside it
+  return [...new Set(terms.map((term) => term.trim()).filter((term) => term.length > 1))].sort(
+    (a, b) => b.length - a.length,
+  )
+}
+
+// Escape text for HTML and wrap every occurrence of the terms in <mark>
+const highlight = (text, terms) => {
+  if (!text) return ""
+  if (terms.length === 0) return escapeHtml(text)
+
+  const pattern = new RegExp(`(${terms.map((term) => escapeRegex(escapeHtml(term))).join("|")})`, "gi")
+  return escapeHtml(text).replace(pattern, "<mark>$1</mark>")
+}
+
+// A highlighted excerpt of `text` around the first match, or its beginning when nothing matches
+// (MongoDB also matches word stems, which the terms don't cover)
+const snippet = (text, terms, length = SNIPPET_LENGTH) => {
+  if (!text) return ""
+
+  const lower = text.toLowerCase()
+  const positions = terms.map((term) => lower.indexOf(term.toLowerCase())).filter((position) => position >= 0)
+  const first = positions.length > 0 ? Math.min(...positions) : 0
+
+  let start = Math.max(0, first - Math.floor(length / 3))
+  if (start > 0) {
+    const space = text.indexOf(" ", start)
+    start = space >= 0 && space < first ? space + 1 : start
+  }
+  const end = Math.min(text.length, start + length)
+
+  const excerpt = `${start > 0 ? "…" : ""}${text.slice(start, end)}${end < text.length ? "…" : ""}`
+  return highlight(excerpt, terms)
+}
+
+// Check the filters of a post search and turn them into query conditions.
+// Returns { filter } or { error }.
+const buildPostFilter = async ({ tags, category, author, from, to, year, minReadTime, maxReadTime }) => {
+  const filter = { status: "Published" }
+
+  if (tags) {
+    filter.tags = {
+      $in: String(tags)
+        .split(",")
+        .map((tag) => tag.trim().toLowerCase()),
+    }
+  }
+
+  // A category also covers its subcategories
+  if (category) {
+    const found = await Category.findByIdOrSlug(category).select("_id").lean()
+    filter.category = { $in: found ? await Category.descendantIds(found._id) : [] }
+  }
+
+  if (author) {
+    if (!mongoose.isValidObjectId(author)) {
+      return { error: "Invalid author ID" }
+    }
+    filter.author = new mongoose.Types.ObjectId(String(author))
+  }
+
+  const publishedAt = {}
+  if (from) publishedAt.$gte = new Date(from)
+  if (to) publishedAt.$lte = new Date(to)
+  if (year) {
+    const value = Number.parseInt(year)
+    if (Number.isNaN(value)) {
+      return { error: "Invalid year" }
+    }
+    publishedAt.$gte = new Date(Math.max(new Date(Date.UTC(value, 0, 1)), publishedAt.$gte || 0))
+    publishedAt.$lt = new Date(Date.UTC(value + 1, 0, 1))
+  }
+  if (Object.values(publishedAt).some((date) => Number.isNaN(date.getTime()))) {
+    return { error: "Please provide valid dates" }
+  }
+  if (Object.keys(publishedAt).length > 0) filter.publishedAt = publishedAt
+
+  const readTime = {}
+  if (minReadTime) readTime.$gte = Number.parseInt(minReadTime)
+  if (maxReadTime) readTime.$lte = Number.parseInt(maxReadTime)
+  if (Object.values(readTime).some(Number.isNaN)) {
+    return { error: "Reading time must be a number of minutes" }
+  }
+  if (Object.keys(readTime).length > 0) filter.readTime = readTime
+
+  return { filter }
+}
+
+// Published posts matching the search, best match first, with a highlighted title and excerpt
+const searchPosts = async (search, filter, terms, { skip, limit }) => {
+  const query = { $text: { $search: search }, ...filter }
+
+  const [posts, total] = await Promise.all([
+    Post.find(query, { score: { $meta: "textScore" } })
+      .select(
+        "title slug excerpt contentHtml content coverImage author category tags readTime publishedAt views likesCount commentsCount",
+      )
+      .populate("author", "name avatar")
+      .populate("category", "name slug")
+      .sort({ score: { $meta: "textScore" }, publishedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    Post.countDocuments(query),
+  ])
+
+  const results = posts.map(({ contentHtml, content, ...post }) => ({
+    ...post,
+    highlights: {
+      title: highlight(post.title, terms),
+      content: snippet(htmlToText(contentHtml || content), terms),
+    },
+  }))
+
+  return { results, total }
+}
+
+// How the matching posts split up by tag, category, author and year of publication
+const postFacets = async (search, filter) => {
+  const [facets] = await Post.aggregate([
+    { $match: { $text: { $search: search }, ...filter } },
+    {
+      $facet: {
+        tags: [
+          { $unwind: "$tags" },
+          { $group: { _id: "$tags", count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: FACET_LIMIT },
+        ],
+        categories: [
+          { $match: { category: { $ne: null } } },
+          { $group: { _id: "$category", count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $limit: FACET_LIMIT },
+          { $lookup: { from: "categories", localField: "_id", foreignField: "_id", as: "category" } },
+          { $unwind: "$category" },
+          { $project: { _id: 1, count: 1, name: "$category.name", slug: "$category.slug" } },
+        ],
+        authors: [
+          { $group: { _id: "$author", count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $limit: FACET_LIMIT },
+          { $lookup: { from: "users", localField: "_id", foreignField: "_id", as: "author" } },
+          { $unwind: "$author" },
+          { $project: { _id: 1, count: 1, name: "$author.name", avatar: "$author.avatar" } },
+        ],
+        years: [
+          { $match: { publishedAt: { $ne: null } } },
+          { $group: { _id: { $year: "$publishedAt" }, count: { $sum: 1 } } },
+          { $sort: { _id: -1 } },
+        ],
+      },
+    },
+  ])
+
+  return {
+    tags: facets.tags.map((tag) => ({ name: tag._id, count: tag.count })),
+    categories: facets.categories,
+    authors: facets.authors,
+    years: facets.years.map((year) => ({ year: year._id, count: year.count })),
+  }
+}
+
+// Active users with published posts whose name or bio matches
+const searchAuthors = async (search, terms, { skip, limit }) => {
+  const [result] = await User.aggregate([
+    { $match: { $text: { $search: search }, isActive: true } },
+    { $set: { score: { $meta: "textScore" } } },
+    {
+      $lookup: {
+        from: "posts",
+        let: { userId: "$_id" },
+        pipeline: [{ $match: { $expr: { $eq: ["$author", "$$userId"] }, status: "Published" } }, { $count: "count" }],
+        as: "published",
+      },
+    },
+    { $set: { postCount: { $ifNull: [{ $first: "$published.count" }, 0] } } },
+    { $match: { postCount: { $gt: 0 } } },
+    { $sort: { score: -1, postCount: -1 } },
+    {
+      $facet: {
+        results: [
+          { $skip: skip },
+          { $limit: limit },
+          { $project: { name: 1, avatar: 1, bio: 1, postCount: 1, score: 1 } },
+        ],
+        total: [{ $count: "count" }],
+      },
+    },
+  ])
+
+  return {
+    results: result.results.map((author) => ({
+      ...author,
+      highlights: {
+        name: highlight(author.name, terms),
+        bio: snippet(author.bio, terms),
+      },
+    })),
+    total: result.total[0]?.count || 0,
+  }
+}
+
+// Comments on published posts that match, with the post they belong to
+const searchComments = async (search, terms, { from, to }, { skip, limit }) => {
+  const match = { $text: { $search: search }, isDeleted: false }
+  const createdAt = {}
+  if (from) createdAt.$gte = new Date(from)
+  if (to) createdAt.$lte = new Date(to)
+  if (Object.keys(createdAt).length > 0) match.createdAt = createdAt
+
+  const [result] = await Comment.aggregate([
+    { $match: match },
+    { $set: { score: { $meta: "textScore" } } },
+    {
+      $lookup: {
+        from: "posts",
+        let: { postId: "$post" },
+        pipeline: [
+          { $match: { $expr: { $eq: ["$_id", "$$postId"] }, status: "Published" } },
+          { $project: { title: 1, slug: 1 } },
+        ],
+        as: "post",
+      },
+    },
+    { $unwind: "$post" },
+    { $sort: { score: -1, createdAt: -1 } },
+    {
+      $facet: {
+        results: [
+          { $skip: skip },
+          { $limit: limit },
+          { $lookup: { from: "users", localField: "userId", foreignField: "_id", as: "user" } },
+          { $unwind: "$user" },
+          {
+            $project: {
+              comment: 1,
+              post: 1,
+              parentComment: 1,
+              likesCount: 1,
+              createdAt: 1,
+              score: 1,
+              user: { _id: "$user._id", name: "$user.name", avatar: "$user.avatar" },
+            },
+          },
+        ],
+        total: [{ $count: "count" }],
+      },
+    },
+  ])
+
+  return {
+    results: result.results.map((comment) => ({
+      ...comment,
+      highlights: { comment: snippet(comment.comment, terms) },
+    })),
+    total: result.total[0]?.count || 0,
+  }
+}
+
+module.exports = {
+  textSearch,
+  highlightTerms,
+  highlight,
+  snippet,
+  buildPostFilter,
+  searchPosts,
+  postFacets,
+  searchAuthors,
+  searchComments,
+}
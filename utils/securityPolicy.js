@@ -0,0 +1,23 @@
+const Setting = require("../models/Setting")
+
+const ADMIN_TWO_FACTOR_KEY = "security.requireAdminTwoFactor"
+
+// Whether admins must have two-factor authentication enabled to use admin endpoints.
+// Falls back to REQUIRE_ADMIN_2FA until an admin stores the setting.
+const isAdminTwoFactorRequired = async () => {
+  const value = await Setting.getValue(ADMIN_TWO_FACTOR_KEY, process.env.REQUIRE_ADMIN_2FA === "true")
+  return Boolean(value)
+}
+
+const getSecurityPolicy = async () => ({
+  requireAdminTwoFactor: await isAdminTwoFactorRequired(),
+})
+
+const updateSecurityPolicy = async ({ requireAdminTwoFactor }, userId) => {
+  if (requireAdminTwoFactor !== undefined) {
+    await Setting.setValue(ADMIN_TWO_FACTOR_KEY, Boolean(requireAdminTwoFactor), userId)
+  }
+  return getSecurityPolicy()
+}
+
+module.exports = { isAdminTwoFactorRequired, getSecurityPolicy, updateSecurityPolicy }
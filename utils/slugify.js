@@ -0,0 +1,101 @@
+// URL slugs for posts
+
+const MAX_SLUG_LENGTH = 80
+
+// Letters that Unicode normalization doesn't reduce to ASCII
+const TRANSLITERATIONS = {
+  ß: "ss",
+  æ: "ae",
+  œ: "oe",
+  ø: "o",
+  đ: "d",
+  ð: "d",
+  ł: "l",
+  þ: "th",
+  ı: "i",
+  // Cyrillic
+  а: "a",
+  б: "b",
+  в: "v",
+  г: "g",
+  д: "d",
+  е: "e",
+  ё: "e",
+  ж: "zh",
+  з: "z",
+  и: "i",
+  й: "y",
+  к: "k",
+  л: "l",
+  м: "m",
+  н: "n",
+  о: "o",
+  п: "p",
+  р: "r",
+  с: "s",
+  т: "t",
+  у: "u",
+  ф: "f",
+  х: "kh",
+  ц: "ts",
+  ч: "ch",
+  ш: "sh",
+  щ: "shch",
+  ъ: "",
+  ы: "y",
+  ь: "",
+  э: "e",
+  ю: "yu",
+  я: "ya",
+  є: "ye",
+  і: "i",
+  ї: "yi",
+  ґ: "g",
+  // Greek (accented letters are looked up once normalization has removed the accent)
+  α: "a",
+  β: "v",
+  γ: "g",
+  δ: "d",
+  ε: "e",
+  ζ: "z",
+  η: "i",
+  θ: "th",
+  ι: "i",
+  κ: "k",
+  λ: "l",
+  μ: "m",
+  ν: "n",
+  ξ: "x",
+  ο: "o",
+  π: "p",
+  ρ: "r",
+  σ: "s",
+  ς: "s",
+  τ: "t",
+  υ: "y",
+  φ: "f",
+  χ: "ch",
+  ψ: "ps",
+  ω: "o",
+}
+
+// Turn any text into a lowercase ASCII slug ("Crème Brûlée über alles" -> "creme-brulee-uber-alles").
+// Returns an empty string when nothing in the text can be transliterated.
+const slugify = (text = "") => {
+  // Letters in the table go first, while they are still composed: normalization would turn "й" into "и"
+  // plus a breve, and the breve is dropped below. What's left is decomposed and looked up again.
+  const ascii = String(text)
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/[^\u0000-\u007f]/g, (char) => TRANSLITERATIONS[char] ?? char)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\u0000-\u007f]/g, (char) => TRANSLITERATIONS[char] ?? " ")
+
+  return ascii
+    .replace(/[^a-z0-9]+/g, "-")
+    .substring(0, MAX_SLUG_LENGTH)
+    .replace(/^-+|-+$/g, "")
+}
+
+module.exports = { slugify, MAX_SLUG_LENGTH }
@@ -0,0 +1,229 @@
+const Post = require("../models/Post")
+const User = require("../models/User")
+const Category = require("../models/Category")
+const { escapeRegex } = require("./regex")
+const { fold, wordsOf } = require("./words")
+
+// How many posts or users are checked for typos when the prefix alone finds too few
+const FUZZY_CANDIDATES = 200
+// Tag and category counts are computed at most this often per process, not on every keystroke
+const COUNTS_CACHE_MS = 60 * 1000
+
+// Number of typos tolerated for a query: none for short input, where almost everything would match,
+// and none for several words
+const maxTyposFor = (query) => {
+  const words = wordsOf(query)
+  if (words.length !== 1) return 0
+  return words[0].length < 4 ? 0 : words[0].length < 8 ? 1 : 2
+}
+
+// Edit distance between two short strings, counting swapped neighbouring letters as one typo
+const editDistance = (a, b) => {
+  let beforePrevious = []
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index)
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution)
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1)
+      }
+    }
+    beforePrevious = previous
+    previous = current
+  }
+
+  return previous[b.length]
+}
+
+// How far `text` is from matching the typed `query`: 0 when every word of the query starts one of its
+// words, otherwise the fewest typos between the query and the start of a word.
+// Returns null when it's too far off.
+const matchDistance = (query, text) => {
+  const words = wordsOf(text)
+  const parts = wordsOf(query)
+  if (parts.length > 0 && parts.every((part) => words.some((word) => word.startsWith(part)))) return 0
+
+  const maxTypos = maxTyposFor(query)
+  if (maxTypos === 0) return null
+
+  const [part] = parts
+  let best = null
+  for (const word of words) {
+    // The typo may have added or dropped a letter, so compare with slightly shorter and longer prefixes
+    for (let length = part.length - 1; length <= part.length + 1; length++) {
+      if (length < 1 || length > word.length + 1) continue
+      const distance = editDistance(part, word.slice(0, length))
+      if (distance <= maxTypos && (best === null || distance < best)) best = distance
+    }
+  }
+
+  return best
+}
+
+// Keep the candidates that match, closest match first and then the most popular
+const rank = (query, candidates, textOf, popularityOf, limit) =>
+  candidates
+    .map((candidate) => ({ candidate, distance: matchDistance(query, textOf(candidate)) }))
+    .filter(({ distance }) => distance !== null)
+    .sort((a, b) => a.distance - b.distance || popularityOf(b.candidate) - popularityOf(a.candidate))
+    .slice(0, limit)
+    .map(({ candidate }) => candidate)
+
+// Condition on an indexed words field (titleWords, nameWords) for the typed query: every word of the
+// query starts one of the words. Looking for typos, only the first letter has to be right (a typo can
+// be anywhere but the first letter is usually right).
+const wordsMatching = (query, { fuzzy = false } = {}) => {
+  const words = wordsOf(query)
+  const prefixes = fuzzy ? [words[0][0]] : words
+  return { $all: prefixes.map((prefix) => new RegExp(`^${escapeRegex(prefix)}`)) }
+}
+
+// Share one lookup between requests for a while
+const cache = new Map()
+const cached = (key, load) => {
+  const entry = cache.get(key)
+  if (entry && entry.expiresAt > Date.now()) return entry.value
+
+  const value = load().catch((error) => {
+    cache.delete(key)
+    throw error
+  })
+  cache.set(key, { value, expiresAt: Date.now() + COUNTS_CACHE_MS })
+  return value
+}
+
+const postPopularity = (post) => (post.views || 0) + 10 * (post.likesCount || 0) + 5 * (post.commentsCount || 0)
+
+// Published post titles: the most popular titles starting with the input, then near misses
+const suggestPosts = async (query, limit) => {
+  const select = "title slug views likesCount commentsCount"
+  const popular = { views: -1, likesCount: -1 }
+
+  const matches = await Post.find({ status: "Published", titleWords: wordsMatching(query) })
+    .select(select)
+    .sort(popular)
+    .limit(limit)
+    .lean()
+
+  if (matches.length >= limit || maxTyposFor(query) === 0) {
+    return rank(query, matches, (post) => post.title, postPopularity, limit)
+  }
+
+  const candidates = await Post.find({ status: "Published", titleWords: wordsMatching(query, { fuzzy: true }) })
+    .select(select)
+    .sort(popular)
+    .limit(FUZZY_CANDIDATES)
+    .lean()
+
+  const seen = new Set(matches.map((post) => String(post._id)))
+  const all = [...matches, ...candidates.filter((post) => !seen.has(String(post._id)))]
+  return rank(query, all, (post) => post.title, postPopularity, limit)
+}
+
+// Every tag of published posts with its number of posts
+const tagCounts = () =>
+  cached("tags", () =>
+    Post.aggregate([
+      { $match: { status: "Published" } },
+      { $unwind: "$tags" },
+      { $group: { _id: "$tags", count: { $sum: 1 } } },
+    ]),
+  )
+
+// Every category with its number of published posts
+const categoryCounts = () =>
+  cached("categories", async () => {
+    const [categories, counts] = await Promise.all([
+      Category.find().select("name slug").lean(),
+      Post.aggregate([
+        { $match: { status: "Published", category: { $ne: null } } },
+        { $group: { _id: "$category", count: { $sum: 1 } } },
+      ]),
+    ])
+    const countOf = new Map(counts.map((entry) => [String(entry._id), entry.count]))
+
+    return categories.map((category) => ({ ...category, count: countOf.get(String(category._id)) || 0 }))
+  })
+
+// Tags of published posts, the most used first
+const suggestTags = async (query, limit) => {
+  const tags = await tagCounts()
+
+  return rank(
+    query,
+    tags,
+    (tag) => tag._id,
+    (tag) => tag.count,
+    limit,
+  ).map((tag) => ({ name: tag._id, count: tag.count }))
+}
+
+// Categories, the ones with most published posts first
+const suggestCategories = async (query, limit) => {
+  const categories = await categoryCounts()
+
+  return rank(
+    query,
+    categories,
+    (category) => category.name,
+    (category) => category.count,
+    limit,
+  )
+}
+
+// Active authors of published posts, the most read first
+const suggestAuthors = async (query, limit) => {
+  const fuzzy = maxTyposFor(query) > 0
+  const users = await User.find({ isActive: true, nameWords: wordsMatching(query, { fuzzy }) })
+    .select("name avatar")
+    .limit(FUZZY_CANDIDATES)
+    .lean()
+  const candidates = users.filter((user) => matchDistance(query, user.name) !== null)
+  if (candidates.length === 0) return []
+
+  const stats = await Post.aggregate([
+    { $match: { status: "Published", author: { $in: candidates.map((user) => user._id) } } },
+    { $group: { _id: "$author", postCount: { $sum: 1 }, views: { $sum: "$views" }, likes: { $sum: "$likesCount" } } },
+  ])
+  const statsOf = new Map(stats.map((entry) => [String(entry._id), entry]))
+
+  const authors = candidates
+    .filter((user) => statsOf.has(String(user._id)))
+    .map((user) => {
+      const { postCount, views, likes } = statsOf.get(String(user._id))
+      return { ...user, postCount, popularity: views + 10 * likes }
+    })
+
+  return rank(
+    query,
+    authors,
+    (author) => author.name,
+    (author) => author.popularity,
+    limit,
+  ).map(({ popularity, ...author }) => author)
+}
+
+const SUGGESTERS = {
+  posts: suggestPosts,
+  tags: suggestTags,
+  categories: suggestCategories,
+  authors: suggestAuthors,
+}
+
+// Suggestions of each requested type for partially typed input
+const suggest = async (input, { types = Object.keys(SUGGESTERS), limit = 5 } = {}) => {
+  const query = fold(input).trim()
+  const results = await Promise.all(types.map((type) => SUGGESTERS[type](query, limit)))
+
+  return Object.fromEntries(types.map((type, index) => [type, results[index]]))
+}
+
+module.exports = {
+  SUGGESTION_TYPES: Object.keys(SUGGESTERS),
+  editDistance,
+  matchDistance,
+  suggest,
+}
@@ -0,0 +1,214 @@
+const crypto = require("crypto")
+const jwt = require("jsonwebtoken")
+const Session = require("../models/Session")
+
+// Personal access tokens are recognizable by their prefix (like GitHub's "ghp_")
+const API_TOKEN_PREFIX = "blg_"
+
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_EXPIRE || "15m"
+const REFRESH_TOKEN_DAYS = Number.parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30
+
+const getJwtSecret = () => process.env.JWT_SECRET || "your-secret-key"
+
+// Generate a random opaque token
+const generateRandomToken = (bytes = 32) => crypto.randomBytes(bytes).toString("hex")
+
+// Hash a token before storing it so a database leak does not expose usable tokens
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex")
+
+// Generate a personal access token
+const generateApiToken = () => `${API_TOKEN_PREFIX}${generateRandomToken(20)}`
+
+const isApiToken = (token) => typeof token === "string" && token.startsWith(API_TOKEN_PREFIX)
+
+// Generate a short-lived JWT bound to a session
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, getJwtSecret(), {
+    expiresIn: ACCESS_TOKEN_EXPIRE,
+  })
+}
+
+const verifyAccessToken = (token) => jwt.verify(token, getJwtSecret())
+
+// Short-lived token proving the password step of a two-factor login succeeded.
+// It carries no session id, so the auth middleware never accepts it as an access token.
+const generateChallengeToken = (userId) => {
+  return jwt.sign({ id: userId, purpose: "2fa_challenge" }, getJwtSecret(), {
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || "5m",
+  })
+}
+
+// Returns the user id of a valid challenge token, or null
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, getJwtSecret())
+    return decoded.purpose === "2fa_challenge" ? decoded.id : null
+  } catch (error) {
+    return null
+  }
+}
+
+// Short-lived token in the URL that starts connecting an external account. It lets the browser open
+// that URL as a top-level navigation, where the state cookie is first-party even with a frontend on
+// another site. Like the challenge token it carries no session id.
+const generateConnectTicket = (userId, provider) => {
+  return jwt.sign({ id: userId, provider, purpose: "oauth_connect" }, getJwtSecret(), {
+    expiresIn: "1m",
+  })
+}
+
+// Returns the user id of a valid ticket for the provider, or null
+const verifyConnectTicket = (token, provider) => {
+  try {
+    const decoded = jwt.verify(token, getJwtSecret())
+    return decoded.purpose === "oauth_connect" && decoded.provider === provider ? decoded.id : null
+  } catch (error) {
+    return null
+  }
+}
+
+// Signed token in a draft preview link. Revocation is checked against the PreviewLink it names.
+const generatePreviewToken = (linkId, expiresAt) => {
+  return jwt.sign({ lid: linkId, purpose: "post_preview" }, getJwtSecret(), {
+    expiresIn: Math.max(1, Math.floor((expiresAt - Date.now()) / 1000)),
+  })
+}
+
+// Returns the preview link id of a valid preview token, or null
+const verifyPreviewToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, getJwtSecret())
+    return decoded.purpose === "post_preview" ? decoded.lid : null
+  } catch (error) {
+    return null
+  }
+}
+
+// Build a short human readable description such as "Chrome on Windows"
+const describeDevice = (userAgent = "") => {
+  const browsers = [
+    ["Edge", /Edg\//],
+    ["Opera", /OPR\//],
+    ["Chrome", /Chrome\//],
+    ["Firefox", /Firefox\//],
+    ["Safari", /Safari\//],
+  ]
+  const systems = [
+    ["Android", /Android/],
+    ["iOS", /iPhone|iPad/],
+    ["Windows", /Windows/],
+    ["macOS", /Mac OS X/],
+    ["Linux", /Linux/],
+  ]
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent))
+  const system = systems.find(([, pattern]) => pattern.test(userAgent))
+
+  if (!browser && !system) return userAgent ? userAgent.substring(0, 60) : "Unknown device"
+  return [browser?.[0], system?.[0]].filter(Boolean).join(" on ")
+}
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found without scanning hashes
+const buildRefreshToken = (sessionId) => `${sessionId}.${generateRandomToken(48)}`
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+
+// Start a new session for a user and issue its first token pair
+const issueAuthTokens = async (user, req) => {
+  const userAgent = req.get("User-Agent") || ""
+  const session = new Session({
+    user: user._id,
+    userAgent,
+    device: describeDevice(userAgent),
+    ip: req.ip,
+    expiresAt: refreshExpiry(),
+  })
+
+  const refreshToken = buildRefreshToken(session._id)
+  session.refreshTokenHash = hashToken(refreshToken)
+  await session.save()
+
+  return {
+    token: generateAccessToken(user._id, session._id),
+    refreshToken,
+    session,
+  }
+}
+
+// Start a time-limited session in which an admin acts as another user.
+// It has no usable refresh token, so it ends when the access token expires.
+const issueImpersonationToken = async (admin, user, req, reason) => {
+  const minutes = Number.parseInt(process.env.IMPERSONATION_EXPIRE_MINUTES) || 30
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(generateRandomToken()),
+    userAgent: req.get("User-Agent") || "",
+    device: `Support session by ${admin.name}`,
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + minutes * 60 * 1000),
+    impersonator: admin._id,
+    impersonationReason: reason,
+  })
+
+  const token = jwt.sign({ id: user._id, sid: session._id, imp: admin._id }, getJwtSecret(), {
+    expiresIn: `${minutes}m`,
+  })
+
+  return { token, session }
+}
+
+// Exchange a refresh token for a new token pair. Every refresh token can be used once;
+// presenting an already rotated token revokes the whole session.
+const rotateRefreshToken = async (refreshToken, req) => {
+  const [sessionId] = String(refreshToken).split(".")
+  const session = await Session.findById(sessionId).catch(() => null)
+
+  if (!session || !session.isActive()) {
+    return { error: "Session expired. Please log in again." }
+  }
+
+  // Swap the hash in one conditional update, so two requests racing with the same token can't both win
+  const nextRefreshToken = buildRefreshToken(session._id)
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextRefreshToken),
+        lastSeenAt: new Date(),
+        ip: req.ip,
+        expiresAt: refreshExpiry(),
+      },
+    },
+    { new: true },
+  )
+
+  if (!rotated) {
+    await session.revoke("refresh_token_reuse")
+    return { error: "Refresh token has already been used. Please log in again." }
+  }
+
+  return {
+    token: generateAccessToken(rotated.user, rotated._id),
+    refreshToken: nextRefreshToken,
+    session: rotated,
+  }
+}
+
+module.exports = {
+  generateRandomToken,
+  hashToken,
+  generateApiToken,
+  isApiToken,
+  generateAccessToken,
+  verifyAccessToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  generateConnectTicket,
+  verifyConnectTicket,
+  generatePreviewToken,
+  verifyPreviewToken,
+  describeDevice,
+  issueAuthTokens,
+  issueImpersonationToken,
+  rotateRefreshToken,
+}
@@ -0,0 +1,65 @@
+const mongoose = require("mongoose")
+const Post = require("../models/Post")
+const Comment = require("../models/Comment")
+const { paginate } = require("./pagination")
+
+// Query for the posts a user owns or collaborates on. Public listings only count co-authors (editors),
+// not people who were just invited to read a draft.
+const authoredBy = (userId, { roles = ["editor"] } = {}) => {
+  const id = new mongoose.Types.ObjectId(String(userId))
+  return { $or: [{ author: id }, { collaborators: { $elemMatch: { user: id, role: { $in: roles } } } }] }
+}
+
+// A user's posts including drafts and posts shared with them, as shown on their dashboard
+// (and to admins helping them). `params` are the request's paging parameters and status filter.
+// Returns { posts, pagination } or { error } for an invalid cursor.
+const getUserPosts = async (userId, params = {}) => {
+  const { status } = params
+  const query = authoredBy(userId, { roles: ["editor", "viewer"] })
+  if (status) {
+    query.status = status
+  }
+
+  const { items, pagination, error } = await paginate(Post, query, {
+    params,
+    sort: { createdAt: -1 },
+    totalKey: "totalPosts",
+    prepare: (find) =>
+      find
+        .populate("author", "name email avatar")
+        .populate("category", "name slug")
+        .populate("collaborators.user", "name avatar")
+        .lean(),
+  })
+
+  return error ? { error } : { posts: items, pagination }
+}
+
+// Dashboard statistics of a user
+const getUserStats = async (userId) => {
+  // Aggregation pipelines don't cast, so the id has to be an ObjectId
+  const authorId = new mongoose.Types.ObjectId(String(userId))
+
+  const [totalPosts, publishedPosts, draftPosts, scheduledPosts, totalViews, totalComments] = await Promise.all([
+    Post.countDocuments({ author: authorId }),
+    Post.countDocuments({ author: authorId, status: "Published" }),
+    Post.countDocuments({ author: authorId, status: "Draft" }),
+    Post.countDocuments({ author: authorId, status: "Scheduled" }),
+    Post.aggregate([
+      { $match: { author: authorId, status: "Published" } },
+      { $group: { _id: null, totalViews: { $sum: "$views" } } },
+    ]).then((result) => result[0]?.totalViews || 0),
+    Comment.countDocuments({ userId: authorId, isDeleted: false }),
+  ])
+
+  return {
+    total: totalPosts,
+    published: publishedPosts,
+    drafts: draftPosts,
+    scheduled: scheduledPosts,
+    views: totalViews,
+    comments: totalComments,
+  }
+}
+
+module.exports = { authoredBy, getUserPosts, getUserStats }
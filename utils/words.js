@@ -0,0 +1,18 @@
+// Words of titles and names, as stored for prefix lookups while the user is typing
+
+// Lowercase without accents, so "cafe" finds "Café"
+const fold = (text) =>
+  String(text ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+
+const wordsOf = (text) =>
+  fold(text)
+    .split(/[\s\-_/.,:;!?()]+/)
+    .filter(Boolean)
+
+// The distinct words of a text, for an indexed field that anchored prefix queries can use
+const searchWordsOf = (text) => [...new Set(wordsOf(text))]
+
+module.exports = { fold, wordsOf, searchWordsOf }